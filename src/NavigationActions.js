@@ -11,6 +11,14 @@ const RESET = 'Navigation/RESET';
 const SET_PARAMS = 'Navigation/SET_PARAMS';
 const URI = 'Navigation/URI';
 const PASS = 'Navigation/PASS';
+const REPLACE = 'Navigation/REPLACE';
+const POP_N = 'Navigation/POP_N';
+const POP_TO_TOP = 'Navigation/POP_TO_TOP';
+const PUSH = 'Navigation/PUSH';
+const OPEN_DRAWER = 'Navigation/OPEN_DRAWER';
+const CLOSE_DRAWER = 'Navigation/CLOSE_DRAWER';
+const TOGGLE_DRAWER = 'Navigation/TOGGLE_DRAWER';
+const SET_TAB_ORDER = 'Navigation/SET_TAB_ORDER';
 
 const createAction = (type: string) => (payload: Object = {}) => ({
   type,
@@ -24,6 +32,14 @@ const reset = createAction(RESET);
 const setParams = createAction(SET_PARAMS);
 const uri = createAction(URI);
 const pass = createAction(PASS);
+const replace = createAction(REPLACE);
+const popN = createAction(POP_N);
+const popToTop = createAction(POP_TO_TOP);
+const push = createAction(PUSH);
+const openDrawer = createAction(OPEN_DRAWER);
+const closeDrawer = createAction(CLOSE_DRAWER);
+const toggleDrawer = createAction(TOGGLE_DRAWER);
+const setTabOrder = createAction(SET_TAB_ORDER);
 
 const deprecatedActionMap = {
   Back: BACK,
@@ -67,6 +83,14 @@ export default {
   SET_PARAMS,
   URI,
   PASS,
+  REPLACE,
+  POP_N,
+  POP_TO_TOP,
+  PUSH,
+  OPEN_DRAWER,
+  CLOSE_DRAWER,
+  TOGGLE_DRAWER,
+  SET_TAB_ORDER,
 
   // Action creators
   back,
@@ -76,6 +100,14 @@ export default {
   setParams,
   uri,
   pass,
+  replace,
+  popN,
+  popToTop,
+  push,
+  openDrawer,
+  closeDrawer,
+  toggleDrawer,
+  setTabOrder,
 
   // TODO: Remove once old actions are deprecated
   mapDeprecatedActionAndWarn,
@@ -18,6 +18,8 @@ export type HeaderProps = NavigationSceneRendererProps & {
   getScreenDetails: NavigationScene => NavigationScreenDetails<
     NavigationStackScreenOptions
   >,
+  headerStyleInterpolator?: NavigationHeaderStyleInterpolator,
+  getHeaderScrollY?: (scene: NavigationScene) => AnimatedValue,
   style: Style,
 };
 
@@ -40,6 +42,30 @@ export type NavigationState = {
    */
   index: number,
   routes: Array<NavigationRoute>,
+  /**
+   * Whether the drawer is open, in the state of a drawer navigator.
+   */
+  isDrawerOpen?: boolean,
+  /**
+   * The tabs hidden from a tab navigator, which keep their state until they
+   * are shown again.
+   */
+  hiddenRoutes?: Array<NavigationRoute>,
+  /**
+   * The route names of the tabs shown by a tab navigator, in order, once they
+   * are set with the set tab order action.
+   */
+  tabOrder?: Array<string>,
+  /**
+   * The keys of the tabs in the order they were last focused, in the state
+   * of a tab navigator whose `backBehavior` is `history`.
+   */
+  routeKeyHistory?: Array<string>,
+  /**
+   * The key of the route that holds this state, when the navigator is nested
+   * in another one.
+   */
+  key?: string,
 };
 
 export type NavigationRoute = NavigationLeafRoute | NavigationStateRoute;
@@ -64,6 +90,11 @@ export type NavigationLeafRoute = {
    * e.g. `{ car_id: 123 }` in a route that displays a car.
    */
   params?: NavigationParams,
+  /**
+   * Identifies the route among the routes with the same name, see
+   * `uniqueId` of the navigate action.
+   */
+  uniqueId?: string,
 };
 
 export type NavigationStateRoute = NavigationLeafRoute & {
@@ -71,6 +102,20 @@ export type NavigationStateRoute = NavigationLeafRoute & {
   routes: Array<NavigationRoute>,
 };
 
+export type NavigationStateError = {
+  type:
+    | 'INVALID_STATE'
+    | 'INVALID_INDEX'
+    | 'DUPLICATE_KEY'
+    | 'UNKNOWN_ROUTE'
+    | 'TAB_ORDER_MISMATCH',
+  /**
+   * The keys of the routes leading to the invalid state or route.
+   */
+  path: Array<string>,
+  message: string,
+};
+
 export type NavigationScreenOptionsGetter<Options, Action> = (
   navigation: NavigationScreenProp<NavigationRoute, Action>,
   screenProps?: {}
@@ -100,6 +145,25 @@ export type NavigationRouter<State, Action, Options> = {
     params?: NavigationParams,
   },
 
+  /**
+   * Builds the URI for a state, made of the path of its active routes and a
+   * query string holding the params that are not part of that path. Returns
+   * null when the params lack a segment of that path.
+   */
+  getURIForState: (state: State) => ?string,
+
+  /**
+   * Builds the URI of the state that results from applying an action to the
+   * given state, for share links or `<a href>`s.
+   */
+  getURIForAction: (action: Action, lastState: ?State) => ?string,
+
+  /**
+   * Lists what is wrong with a state, e.g. one that was persisted before the
+   * route configs changed. An empty array means the state can be rendered.
+   */
+  validateState: (state: State) => Array<NavigationStateError>,
+
   getComponentForRouteName: (routeName: string) => NavigationComponent,
 
   getComponentForState: (state: State) => NavigationComponent,
@@ -169,7 +233,7 @@ export type NavigationNavigator<T, State, Action, Options> = ReactClass<T> & {
 };
 
 export type NavigationParams = {
-  [key: string]: string,
+  [key: string]: string | Array<string>,
 };
 
 export type NavigationNavigateAction = {
@@ -179,11 +243,81 @@ export type NavigationNavigateAction = {
 
   // The action to run inside the sub-router
   action?: NavigationNavigateAction,
+
+  // Focus the route with this routeName and unique id if there is one,
+  // instead of adding another route
+  uniqueId?: string,
+
+  // Go ahead even if `canEnter` or `canLeave` of a route config refuses
+  skipRouteGuards?: boolean,
 };
 
 export type NavigationBackAction = {
   type: 'Navigation/BACK',
   key?: ?string,
+  skipRouteGuards?: boolean,
+};
+
+export type NavigationReplaceAction = {
+  type: 'Navigation/REPLACE',
+
+  // The key of the route to replace, the focused route when not given
+  key?: ?string,
+
+  // The route that takes its place
+  routeName: string,
+  params?: NavigationParams,
+  action?: NavigationNavigateAction,
+
+  skipRouteGuards?: boolean,
+};
+
+export type NavigationPopNAction = {
+  type: 'Navigation/POP_N',
+
+  // The number of routes to pop, at most down to the first route
+  n: number,
+
+  skipRouteGuards?: boolean,
+};
+
+export type NavigationPopToTopAction = {
+  type: 'Navigation/POP_TO_TOP',
+
+  // The key of the stack to pop, the deepest focused one without it
+  key?: ?string,
+
+  skipRouteGuards?: boolean,
+};
+
+export type NavigationPushAction = {
+  type: 'Navigation/PUSH',
+  routeName: string,
+  params?: NavigationParams,
+  action?: NavigationNavigateAction,
+  skipRouteGuards?: boolean,
+};
+
+export type NavigationOpenDrawerAction = {
+  type: 'Navigation/OPEN_DRAWER',
+};
+
+export type NavigationCloseDrawerAction = {
+  type: 'Navigation/CLOSE_DRAWER',
+};
+
+export type NavigationToggleDrawerAction = {
+  type: 'Navigation/TOGGLE_DRAWER',
+};
+
+export type NavigationSetTabOrderAction = {
+  type: 'Navigation/SET_TAB_ORDER',
+
+  // The route names of the tabs to show, in order. The other tabs are hidden.
+  order: Array<string>,
+
+  // The key of the tab navigator's route, when it is not the closest one
+  key?: string,
 };
 
 export type NavigationSetParamsAction = {
@@ -206,6 +340,7 @@ export type NavigationResetAction = {
   index: number,
   key?: ?string,
   actions: Array<NavigationNavigateAction>,
+  skipRouteGuards?: boolean,
 };
 
 export type NavigationUriAction = {
@@ -218,6 +353,7 @@ export type NavigationStackViewConfig = {
   headerMode?: HeaderMode,
   cardStyle?: Style,
   transitionConfig?: () => TransitionConfig,
+  headerStyleInterpolator?: NavigationHeaderStyleInterpolator,
   onTransitionStart?: () => void,
   onTransitionEnd?: () => void,
 };
@@ -234,9 +370,37 @@ export type NavigationStackScreenOptions = NavigationScreenOptions & {
   headerPressColorAndroid?: string,
   headerRight?: React.Element<*>,
   headerStyle?: Style,
+  headerStyleInterpolator?: NavigationHeaderStyleInterpolator,
+  headerTransparent?: boolean,
+  headerBackground?: React.Element<*>,
+  headerHeight?: number,
+  headerStatusBarHeight?: number,
+  headerLargeTitle?: boolean,
+  headerLargeTitleStyle?: Style,
+  headerSearchBar?: NavigationHeaderSearchBarConfig,
+  headerRightActions?: Array<NavigationHeaderAction>,
   gesturesEnabled?: boolean,
 };
 
+/**
+ * A button of the right side of the header. Actions that don't fit, and the
+ * ones to `show` `never`, go to the overflow menu.
+ */
+export type NavigationHeaderAction = {
+  title: string,
+  icon?: number | { uri: string },
+  onPress: () => mixed,
+  show?: 'always' | 'ifRoom' | 'never',
+};
+
+export type NavigationHeaderSearchBarConfig = {
+  placeholder?: string,
+  onChangeText?: (text: string) => void,
+  onSubmit?: (text: string) => void,
+  onCancel?: () => void,
+  cancelButtonText?: string,
+};
+
 export type NavigationStackRouterConfig = {
   initialRouteName?: string,
   initialRouteParams?: NavigationParams,
@@ -249,23 +413,72 @@ export type NavigationStackAction =
   | NavigationNavigateAction
   | NavigationBackAction
   | NavigationSetParamsAction
-  | NavigationResetAction;
+  | NavigationResetAction
+  | NavigationReplaceAction
+  | NavigationPopNAction
+  | NavigationPopToTopAction
+  | NavigationPushAction;
 
 export type NavigationTabAction =
   | NavigationInitAction
   | NavigationNavigateAction
-  | NavigationBackAction;
+  | NavigationBackAction
+  | NavigationSetTabOrderAction;
+
+export type NavigationDrawerAction =
+  | NavigationOpenDrawerAction
+  | NavigationCloseDrawerAction
+  | NavigationToggleDrawerAction;
 
 export type NavigationAction =
   | NavigationInitAction
   | NavigationStackAction
-  | NavigationTabAction;
+  | NavigationTabAction
+  | NavigationDrawerAction;
 
 export type NavigationRouteConfig<T> = T & {
   navigationOptions?: NavigationScreenConfig<*>,
   path?: string,
+  /**
+   * Return false to keep the router from focusing this route for the action.
+   * `state` is the state of the navigator before the action.
+   */
+  canEnter?: (action: NavigationAction, state: NavigationState) => boolean,
+  /**
+   * Return false to keep the focused `route` from being left for the action,
+   * e.g. to ask about unsaved changes first.
+   */
+  canLeave?: (route: NavigationRoute, action: NavigationAction) => boolean,
+  /**
+   * Derive the identity of the route from its params, e.g. a conversation
+   * id, so navigating to the route focuses the route with the same identity
+   * instead of adding another one.
+   */
+  getUniqueId?: (params: ?NavigationParams) => ?string,
+  /**
+   * Send navigation to this route on to another one, always or when the
+   * function returns a target. Routes that only redirect need no screen.
+   */
+  redirect?:
+    | NavigationRedirect
+    | ((
+      params: ?NavigationParams,
+      state: ?NavigationState
+    ) => ?NavigationRedirect),
 };
 
+/**
+ * The route name to redirect to, keeping the params, or the route name and
+ * params to use instead.
+ */
+export type NavigationRedirect =
+  | string
+  | {
+      routeName: string,
+      params?: ?NavigationParams,
+      action?: NavigationNavigateAction,
+    };
+
 export type NavigationScreenRouteConfig =
   | {
       screen: NavigationComponent,
@@ -285,7 +498,7 @@ export type NavigationTabRouterConfig = {
   order?: Array<string>, // todo: type these as the real route names rather than 'string'
 
   // Does the back button cause the router to switch to the initial tab
-  backBehavior?: 'none' | 'initialRoute', // defaults `initialRoute`
+  backBehavior?: 'none' | 'initialRoute' | 'history', // defaults `initialRoute`
 };
 
 export type NavigationTabScreenOptions = NavigationScreenOptions & {
@@ -301,9 +514,25 @@ export type NavigationTabScreenOptions = NavigationScreenOptions & {
       *
     >),
   tabBarVisible?: boolean,
+  tabBarBadge?: number | string | React.Element<*>,
+  tabBarAccessibilityLabel?: string,
+  tabBarTestID?: string,
+  tabBarOnPress?: (options: {
+    scene: { route: NavigationRoute, index: number, focused: boolean },
+    defaultHandler: () => void,
+  }) => void,
+  lazy?: boolean,
+  unmountOnBlur?: boolean,
+  preload?: number,
+  lazyPlaceholderComponent?: ReactClass<*>,
 };
 
+export type DrawerLockMode = 'unlocked' | 'locked-closed' | 'locked-open';
+
+export type DrawerType = 'front' | 'back' | 'slide' | 'permanent';
+
 export type NavigationDrawerScreenOptions = NavigationScreenOptions & {
+  drawerLockMode?: DrawerLockMode,
   drawerIcon?:
     | React.Element<*>
     | ((options: { tintColor: ?string, focused: boolean }) => ?React.Element<
@@ -322,9 +551,58 @@ export type NavigationRouteConfigMap = {
 
 export type NavigationDispatch<A> = (action: A) => boolean;
 
+export type NavigationMiddlewareAPI = {
+  getState: () => ?NavigationState,
+  dispatch: NavigationDispatch<NavigationAction>,
+};
+
+/**
+ * Wraps the dispatch of a navigation container, like a Redux middleware.
+ * Calling `next` hands the action to the next middleware, and eventually to
+ * the router. Not calling it cancels the action.
+ */
+export type NavigationMiddleware = (
+  api: NavigationMiddlewareAPI
+) => (
+  next: NavigationDispatch<NavigationAction>
+) => NavigationDispatch<NavigationAction>;
+
+export type NavigationEventName =
+  | 'action'
+  | 'willFocus'
+  | 'didFocus'
+  | 'willBlur'
+  | 'didBlur'
+  | 'tabPress';
+
+export type NavigationEventPayload = {
+  type: NavigationEventName,
+  action: NavigationAction,
+  state: any,
+  lastState: any,
+  /**
+   * Set by views that animate between their routes, so that `didFocus` and
+   * `didBlur` wait until the transition completes.
+   */
+  isTransitioning?: boolean,
+};
+
+export type NavigationEventCallback = (payload: NavigationEventPayload) => void;
+
+export type NavigationEventSubscription = {
+  remove: () => void,
+};
+
+export type NavigationAddListener = (
+  eventName: NavigationEventName,
+  callback: NavigationEventCallback
+) => NavigationEventSubscription;
+
 export type NavigationProp<S, A> = {
   state: S,
   dispatch: NavigationDispatch<A>,
+  getURIForAction?: (action?: A) => ?string,
+  addListener?: NavigationAddListener,
 };
 
 export type NavigationScreenProp<S, A> = {
@@ -337,6 +615,23 @@ export type NavigationScreenProp<S, A> = {
     action?: NavigationAction
   ) => boolean,
   setParams: (newParams: NavigationParams) => boolean,
+  replace: (
+    routeName: string,
+    params?: NavigationParams,
+    action?: NavigationNavigateAction
+  ) => boolean,
+  pop: (n?: number) => boolean,
+  popToTop: () => boolean,
+  openDrawer: () => boolean,
+  closeDrawer: () => boolean,
+  toggleDrawer: () => boolean,
+  push: (
+    routeName: string,
+    params?: NavigationParams,
+    action?: NavigationNavigateAction
+  ) => boolean,
+  getURI: (action?: NavigationAction) => ?string,
+  addListener: NavigationAddListener,
 };
 
 export type NavigationNavigatorProps<T> = {
@@ -395,6 +690,9 @@ export type NavigationTransitionProps = {
   scene: NavigationScene,
   index: number,
 
+  // Whether the transitioner is animating towards `navigation.state`.
+  isTransitioning: boolean,
+
   screenProps?: {},
 };
 
@@ -418,8 +716,12 @@ export type TransitionConfig = {
   // The basics properties of the animation, such as duration and easing
   transitionSpec?: NavigationTransitionSpec,
   // How to animate position and opacity of the screen
-  // based on the value generated by the transitionSpec
-  screenInterpolator?: (props: NavigationSceneRendererProps) => Object,
+  // based on the value generated by the transitionSpec. `headerHeight` is
+  // the height of the floating header the cards are laid out below, or 0
+  // when they fill the stack.
+  screenInterpolator?: (
+    props: NavigationSceneRendererProps & { headerHeight: number }
+  ) => Object,
 };
 
 export type NavigationAnimationSetter = (
@@ -434,6 +736,25 @@ export type NavigationStyleInterpolator = (
   props: NavigationSceneRendererProps
 ) => Style;
 
+/**
+ * Animates the parts of the header of a stack. Missing interpolators fall
+ * back to the default ones, while the background and the height of the
+ * header don't animate unless `forBackground` and `forHeight` are given.
+ */
+export type NavigationHeaderStyleInterpolator = {
+  forLeft?: NavigationStyleInterpolator,
+  forLeftLabel?: NavigationStyleInterpolator,
+  forCenter?: NavigationStyleInterpolator,
+  forRight?: NavigationStyleInterpolator,
+  forLargeTitle?: NavigationStyleInterpolator,
+  forBackground?: NavigationStyleInterpolator,
+  forHeight?: (
+    props: NavigationSceneRendererProps & {
+      getHeaderHeight: (scene: NavigationScene) => number,
+    }
+  ) => Style,
+};
+
 export type LayoutEvent = {
   nativeEvent: {
     layout: {
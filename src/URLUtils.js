@@ -0,0 +1,165 @@
+/* @flow */
+
+import type { NavigationParams } from './TypeDefinition';
+
+export type NavigationParsedURL = {
+  /**
+   * The path relative to the uri prefix, still encoded so that an escaped
+   * `/` or `?` stays inside its segment. The routers decode the params they
+   * match in it. For example `chat/Jane%20Doe`.
+   */
+  path: string,
+  /**
+   * The params parsed out of the query string.
+   */
+  params: NavigationParams,
+  /**
+   * The raw query string, without the leading `?`.
+   */
+  query: string,
+};
+
+/**
+ * Decodes a URI component, treating `+` as a space. Malformed escape
+ * sequences are returned untouched rather than throwing.
+ */
+function decode(value: string): string {
+  const replaced = value.replace(/\+/g, ' ');
+  try {
+    return decodeURIComponent(replaced);
+  } catch (e) {
+    return replaced;
+  }
+}
+
+function encode(value: mixed): string {
+  return encodeURIComponent(String(value));
+}
+
+/**
+ * Utilities to convert between URLs and the paths and params understood by
+ * the routers, in both directions.
+ *
+ * ```javascript
+ * const { path, params } = URLUtils.parse('myapp://chat/42?draft=hi', 'myapp://');
+ * // path: 'chat/42', params: { draft: 'hi' }
+ * ```
+ */
+const URLUtils = {
+  decode,
+  encode,
+
+  /**
+   * Decodes every segment of a path, leaving the separators in place.
+   */
+  decodePath(path: string): string {
+    return path.split('/').map((segment: string) => decode(segment)).join('/');
+  },
+
+  /**
+   * Parses a query string into params. Keys that are repeated, or that end
+   * with `[]`, are collected into arrays.
+   *
+   * `parseQuery('tag=a&tag=b&q=hi%20there')` returns
+   * `{ tag: ['a', 'b'], q: 'hi there' }`.
+   */
+  parseQuery(queryString: ?string): NavigationParams {
+    const params = {};
+    const query = (queryString || '').replace(/^\?/, '');
+    query.split('&').forEach((item: string) => {
+      if (item === '') {
+        return;
+      }
+      const separatorIndex = item.indexOf('=');
+      let key = decode(
+        separatorIndex === -1 ? item : item.slice(0, separatorIndex)
+      );
+      const value = separatorIndex === -1
+        ? ''
+        : decode(item.slice(separatorIndex + 1));
+      const isArrayKey = key.slice(-2) === '[]';
+      if (isArrayKey) {
+        key = key.slice(0, -2);
+      }
+      const existing = params[key];
+      if (Array.isArray(existing)) {
+        existing.push(value);
+      } else if (existing !== undefined) {
+        params[key] = [existing, value];
+      } else {
+        params[key] = isArrayKey ? [value] : value;
+      }
+    });
+    return params;
+  },
+
+  /**
+   * Serializes params into a query string, without the leading `?`. Arrays are
+   * written as repeated keys and empty values are left out.
+   *
+   * `stringifyQuery({ tag: ['a', 'b'], q: 'hi there' })` returns
+   * `'tag=a&tag=b&q=hi%20there'`.
+   */
+  stringifyQuery(params: ?NavigationParams): string {
+    const source = params || {};
+    const query = [];
+    Object.keys(source).forEach((key: string) => {
+      const value = source[key];
+      const values = Array.isArray(value) ? value : [value];
+      values.forEach((item: ?string) => {
+        if (item !== undefined && item !== null) {
+          query.push(`${encode(key)}=${encode(item)}`);
+        }
+      });
+    });
+    return query.join('&');
+  },
+
+  /**
+   * Joins an already encoded path with the query string for `params`.
+   */
+  format(path: string, params?: ?NavigationParams): string {
+    const query = URLUtils.stringifyQuery(params);
+    return query ? `${path}?${query}` : path;
+  },
+
+  /**
+   * Splits a URL into its path and query params. Everything up to and
+   * including the `uriPrefix` is dropped, and so is the fragment.
+   */
+  parse(url: string, uriPrefix?: string | RegExp): NavigationParsedURL {
+    const delimiter = uriPrefix || '://';
+    let remaining = url;
+    if (typeof delimiter === 'string') {
+      const prefixIndex = url.indexOf(delimiter);
+      if (prefixIndex !== -1) {
+        remaining = url.slice(prefixIndex + delimiter.length);
+      }
+    } else {
+      const match = url.match(delimiter);
+      if (match) {
+        remaining = url.slice(url.indexOf(match[0]) + match[0].length);
+      }
+    }
+
+    const hashIndex = remaining.indexOf('#');
+    if (hashIndex !== -1) {
+      remaining = remaining.slice(0, hashIndex);
+    }
+
+    let query = '';
+    const queryIndex = remaining.indexOf('?');
+    if (queryIndex !== -1) {
+      query = remaining.slice(queryIndex + 1);
+      remaining = remaining.slice(0, queryIndex);
+    }
+
+    return {
+      path: remaining,
+      params: URLUtils.parseQuery(query),
+      query,
+    };
+  },
+};
+
+export default URLUtils;
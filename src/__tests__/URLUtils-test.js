@@ -0,0 +1,66 @@
+/* @flow */
+
+import URLUtils from '../URLUtils';
+
+describe('URLUtils', () => {
+  it('strips the uri prefix and leaves the path encoded', () => {
+    expect(URLUtils.parse('myapp://chat/Jane%20Doe/42', 'myapp://')).toEqual({
+      path: 'chat/Jane%20Doe/42',
+      params: {},
+      query: '',
+    });
+  });
+
+  it('keeps escaped separators inside their segment', () => {
+    expect(URLUtils.parse('myapp://chat/a%2Fb%3Fc?d=e', 'myapp://')).toEqual({
+      path: 'chat/a%2Fb%3Fc',
+      params: { d: 'e' },
+      query: 'd=e',
+    });
+  });
+
+  it('falls back to the default delimiter', () => {
+    expect(URLUtils.parse('myapp://chat/42').path).toBe('chat/42');
+    expect(URLUtils.parse('chat/42').path).toBe('chat/42');
+  });
+
+  it('supports RegExp prefixes', () => {
+    expect(
+      URLUtils.parse('https://example.com/chat/42', /https?:\/\/example.com/)
+        .path
+    ).toBe('/chat/42');
+  });
+
+  it('parses the query string and drops the hash', () => {
+    expect(
+      URLUtils.parse('myapp://chat/42?draft=hi%20there&read#bottom', 'myapp://')
+    ).toEqual({
+      path: 'chat/42',
+      params: { draft: 'hi there', read: '' },
+      query: 'draft=hi%20there&read',
+    });
+  });
+
+  it('collects repeated and bracketed keys into arrays', () => {
+    expect(URLUtils.parseQuery('?tag=a&tag=b&id[]=1&q=one+two')).toEqual({
+      tag: ['a', 'b'],
+      id: ['1'],
+      q: 'one two',
+    });
+  });
+
+  it('keeps malformed escape sequences as they are', () => {
+    expect(URLUtils.parseQuery('q=100%')).toEqual({ q: '100%' });
+    expect(URLUtils.decodePath('a/%E0%A4%A/b')).toBe('a/%E0%A4%A/b');
+  });
+
+  it('serializes params into a query string', () => {
+    expect(URLUtils.stringifyQuery({ tag: ['a', 'b'], q: 'hi there' })).toBe(
+      'tag=a&tag=b&q=hi%20there'
+    );
+    expect(URLUtils.format('chat/42', { draft: 'hi' })).toBe(
+      'chat/42?draft=hi'
+    );
+    expect(URLUtils.format('chat/42', {})).toBe('chat/42');
+  });
+});
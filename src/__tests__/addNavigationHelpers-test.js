@@ -70,4 +70,22 @@ describe('addNavigationHelpers', () => {
     });
     expect(mockedDispatch.mock.calls.length).toBe(1);
   });
+
+  it('builds URIs through the container', () => {
+    const getURIForAction = jest.fn(() => 'myapp://chat/42');
+    const navigation = addNavigationHelpers({
+      state: { key: 'B', routeName: 'Chat' },
+      dispatch: jest.fn(),
+      getURIForAction,
+    });
+    const action = NavigationActions.navigate({ routeName: 'Chat' });
+    expect(navigation.getURI(action)).toEqual('myapp://chat/42');
+    expect(getURIForAction).toBeCalledWith(action);
+    expect(
+      addNavigationHelpers({
+        state: { key: 'B', routeName: 'Chat' },
+        dispatch: jest.fn(),
+      }).getURI()
+    ).toEqual(null);
+  });
 });
@@ -0,0 +1,99 @@
+/* @flow */
+
+import NavigationActions from '../NavigationActions';
+import applyNavigationMiddleware from '../applyNavigationMiddleware';
+
+const createAPI = () => {
+  const api = {
+    state: { index: 0, routes: [{ key: 'A', routeName: 'A' }] },
+    getState: () => api.state,
+    dispatch: jest.fn(() => true),
+  };
+  return api;
+};
+
+describe('applyNavigationMiddleware', () => {
+  it('dispatches straight to the router without middleware', () => {
+    const dispatch = jest.fn(() => true);
+    const action = NavigationActions.back();
+    expect(applyNavigationMiddleware([], createAPI(), dispatch)(action)).toBe(
+      true
+    );
+    expect(dispatch).toBeCalledWith(action);
+  });
+
+  it('runs the middleware in order', () => {
+    const calls = [];
+    const logger = (name: string) => () => (next: *) => (action: *) => {
+      calls.push(`${name}:before`);
+      const result = next(action);
+      calls.push(`${name}:after`);
+      return result;
+    };
+    const dispatch = jest.fn(() => {
+      calls.push('router');
+      return true;
+    });
+    applyNavigationMiddleware(
+      [logger('first'), logger('second')],
+      createAPI(),
+      dispatch
+    )(NavigationActions.back());
+    expect(calls).toEqual([
+      'first:before',
+      'second:before',
+      'router',
+      'second:after',
+      'first:after',
+    ]);
+  });
+
+  it('lets middleware transform and cancel actions', () => {
+    const dispatch = jest.fn(() => true);
+    const renameToB = () => (next: *) => (action: *) =>
+      next(NavigationActions.navigate({ routeName: 'B' }));
+    const blockSettings = () => (next: *) => (action: *) =>
+      action.routeName === 'Settings' ? false : next(action);
+    const dispatchWithMiddleware = applyNavigationMiddleware(
+      [blockSettings, renameToB],
+      createAPI(),
+      dispatch
+    );
+
+    expect(
+      dispatchWithMiddleware(NavigationActions.navigate({ routeName: 'A' }))
+    ).toBe(true);
+    expect(dispatch).toBeCalledWith({
+      type: NavigationActions.NAVIGATE,
+      routeName: 'B',
+    });
+
+    expect(
+      dispatchWithMiddleware(
+        NavigationActions.navigate({ routeName: 'Settings' })
+      )
+    ).toBe(false);
+    expect(dispatch.mock.calls.length).toBe(1);
+  });
+
+  it('gives middleware access to the resulting state', () => {
+    const api = createAPI();
+    const nextState = { index: 0, routes: [{ key: 'B', routeName: 'B' }] };
+    const dispatch = jest.fn(() => {
+      api.state = nextState;
+      return true;
+    });
+    const states = [];
+    const observer = ({ getState }: *) => (next: *) => (action: *) => {
+      states.push(getState());
+      const result = next(action);
+      states.push(getState());
+      return result;
+    };
+    const lastState = api.state;
+    applyNavigationMiddleware([observer], api, dispatch)(
+      NavigationActions.back()
+    );
+    expect(states).toEqual([lastState, nextState]);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * @flow
+ * @jest-environment jsdom
+ */
+/* eslint react/display-name:0 */
+
+import React from 'react';
+import renderer from 'react-test-renderer';
+import ReactUpdates from 'react-test-renderer/lib/ReactUpdates';
+
+import NavigationActions from '../NavigationActions';
+import createBrowserAppContainer from '../createBrowserAppContainer';
+import StackRouter from '../routers/StackRouter';
+
+const HomeScreen = () => <div />;
+HomeScreen.navigationOptions = { title: 'Home' };
+
+const ChatScreen = () => <div />;
+ChatScreen.navigationOptions = ({ navigation }: *) => ({
+  title: `Chat ${navigation.state.params.id}`,
+});
+
+const Navigator = () => <div />;
+Navigator.router = StackRouter({
+  Home: { screen: HomeScreen, path: 'home' },
+  Chat: { screen: ChatScreen, path: 'chat/:id' },
+});
+
+const BrowserAppContainer: ReactClass<*> = createBrowserAppContainer(Navigator);
+
+describe('createBrowserAppContainer', () => {
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/home');
+  });
+
+  it('starts from the state of the current URL', () => {
+    window.history.replaceState(null, '', '/chat/42?draft=hi');
+    const rendered = renderer.create(<BrowserAppContainer />);
+    const { nav } = rendered.getInstance().state;
+    expect(nav.routes[nav.index].routeName).toBe('Chat');
+    expect(nav.routes[nav.index].params).toEqual({ id: '42', draft: 'hi' });
+    expect(document.title).toBe('Chat 42');
+    rendered.unmount();
+  });
+
+  it('pushes navigations and replaces the entry on back', () => {
+    const rendered = renderer.create(<BrowserAppContainer />);
+    const container = rendered.getInstance();
+    const { length } = window.history;
+
+    container.dispatch(
+      NavigationActions.navigate({ routeName: 'Chat', params: { id: '42' } })
+    );
+    expect(window.history.length).toBe(length + 1);
+    expect(window.location.pathname).toBe('/chat/42');
+    expect(window.history.state.nav).toBe(container.state.nav);
+
+    container.dispatch(NavigationActions.back());
+    expect(window.history.length).toBe(length + 1);
+    expect(window.location.pathname).toBe('/home');
+    rendered.unmount();
+  });
+
+  it('reduces actions dispatched back to back from the latest state', () => {
+    const rendered = renderer.create(<BrowserAppContainer />);
+    const container = rendered.getInstance();
+    const { length } = window.history;
+
+    // Like in an event handler, the state is rendered once both are handled
+    ReactUpdates.batchedUpdates(() => {
+      container.dispatch(
+        NavigationActions.navigate({ routeName: 'Chat', params: { id: '42' } })
+      );
+      container.dispatch(
+        NavigationActions.push({ routeName: 'Chat', params: { id: '7' } })
+      );
+    });
+    const { nav } = container.state;
+    expect(nav.routes.map((route: *) => route.params)).toEqual([
+      {},
+      { id: '42' },
+      { id: '7' },
+    ]);
+    expect(window.history.length).toBe(length + 2);
+    expect(window.history.state.nav).toBe(nav);
+    expect(window.location.pathname).toBe('/chat/7');
+    rendered.unmount();
+  });
+
+  it('restores the state of the entry on popstate', () => {
+    const rendered = renderer.create(<BrowserAppContainer />);
+    const container = rendered.getInstance();
+    const homeNav = container.state.nav;
+
+    container.dispatch(
+      NavigationActions.navigate({ routeName: 'Chat', params: { id: '42' } })
+    );
+    expect(container.state.nav).not.toBe(homeNav);
+
+    const event = new window.Event('popstate');
+    event.state = { nav: homeNav };
+    window.dispatchEvent(event);
+    expect(container.state.nav).toBe(homeNav);
+    expect(document.title).toBe('Home');
+    rendered.unmount();
+  });
+
+  it('resolves entries it did not push from the URL on popstate', () => {
+    const rendered = renderer.create(<BrowserAppContainer />);
+    const container = rendered.getInstance();
+
+    window.history.replaceState(null, '', '/chat/7');
+    const event = new window.Event('popstate');
+    event.state = null;
+    window.dispatchEvent(event);
+    const { nav } = container.state;
+    expect(nav.routes[nav.index].routeName).toBe('Chat');
+    expect(nav.routes[nav.index].params).toEqual({ id: '7' });
+    rendered.unmount();
+  });
+});
@@ -0,0 +1,338 @@
+/* @flow */
+/* eslint react/display-name:0 */
+
+import React from 'react';
+import { Linking, View } from 'react-native';
+import renderer from 'react-test-renderer';
+
+import NavigationActions from '../NavigationActions';
+import createNavigationContainer from '../createNavigationContainer';
+import StackRouter from '../routers/StackRouter';
+
+// The renderer requires InitializeCore, which replaces the timers and the
+// Promise polyfill with ones that wait on the native Timing module forever
+jest.mock('InitializeCore', () => {});
+
+const HomeScreen = () => <View />;
+const ChatScreen = () => <View />;
+
+const Navigator = () => <View />;
+Navigator.router = StackRouter({
+  Home: { screen: HomeScreen },
+  Chat: { screen: ChatScreen, path: 'chat/:id' },
+});
+
+const NavigationContainer: ReactClass<*> = createNavigationContainer(Navigator);
+
+// The promises of the container are resolved on the next turn
+const flushPromises = () =>
+  new Promise((resolve: () => void) => setImmediate(resolve));
+
+describe('createNavigationContainer', () => {
+  it('navigates to the route of the initial URL', () => {
+    Linking.getInitialURL.mockImplementationOnce(() =>
+      Promise.resolve('myapp://chat/42?draft=hi%20there')
+    );
+    const rendered = renderer.create(
+      <NavigationContainer
+        uriPrefix="myapp://"
+        onNavigationStateChange={() => {}}
+      />
+    );
+    return flushPromises().then(() => {
+      const { nav } = rendered.getInstance().state;
+      expect(nav.index).toBe(1);
+      expect(nav.routes[1].routeName).toBe('Chat');
+      expect(nav.routes[1].params).toEqual({ id: '42', draft: 'hi there' });
+      rendered.unmount();
+    });
+  });
+
+  [
+    ['myapp://', 'myapp://chat/42?draft=hi%20there'],
+    ['https://example.com', 'https://example.com/chat/42?draft=hi%20there'],
+  ].forEach(([uriPrefix, expectedURI]: Array<string>) => {
+    it(`opens the URIs it builds with the ${uriPrefix} prefix`, () => {
+      const rendered = renderer.create(
+        <NavigationContainer
+          uriPrefix={uriPrefix}
+          onNavigationStateChange={() => {}}
+        />
+      );
+      const container = rendered.getInstance();
+      const uri = container.getURIForAction(
+        NavigationActions.navigate({
+          routeName: 'Chat',
+          params: { id: '42', draft: 'hi there' },
+        })
+      );
+      expect(uri).toBe(expectedURI);
+
+      const { calls } = Linking.addEventListener.mock;
+      const handleURL = calls[calls.length - 1][1];
+      handleURL({ url: uri });
+      const { nav } = container.state;
+      expect(nav.routes[nav.index].routeName).toBe('Chat');
+      expect(nav.routes[nav.index].params).toEqual({
+        id: '42',
+        draft: 'hi there',
+      });
+      rendered.unmount();
+    });
+  });
+
+  describe('loadNavigationState', () => {
+    const chatState = {
+      index: 1,
+      routes: [
+        { key: 'home', routeName: 'Home' },
+        { key: 'chat', routeName: 'Chat', params: { id: '42' } },
+      ],
+    };
+
+    const consoleWarn = console.warn;
+    const consoleError = console.error;
+
+    beforeEach(() => {
+      // $FlowFixMe
+      console.warn = jest.fn();
+      // $FlowFixMe
+      console.error = jest.fn();
+    });
+
+    afterEach(() => {
+      // $FlowFixMe
+      console.warn = consoleWarn;
+      // $FlowFixMe
+      console.error = consoleError;
+    });
+
+    const renderWithLoader = (loadNavigationState: () => Promise<*>) =>
+      renderer.create(
+        <NavigationContainer
+          loadNavigationState={loadNavigationState}
+          renderLoading={() => <View />}
+          onNavigationStateChange={() => {}}
+        />
+      );
+
+    it('starts from the loaded state', () => {
+      const rendered = renderWithLoader(() => Promise.resolve(chatState));
+      expect(rendered.getInstance().state.nav).toBe(null);
+      return flushPromises().then(() => {
+        expect(rendered.getInstance().state.nav).toBe(chatState);
+        rendered.unmount();
+      });
+    });
+
+    it('starts from the initial state when the state is invalid', () => {
+      const rendered = renderWithLoader(() =>
+        Promise.resolve({
+          index: 0,
+          routes: [{ key: 'settings', routeName: 'Settings' }],
+        })
+      );
+      return flushPromises().then(() => {
+        const { nav } = rendered.getInstance().state;
+        expect(nav.routes.length).toBe(1);
+        expect(nav.routes[0].routeName).toBe('Home');
+        rendered.unmount();
+      });
+    });
+
+    it('warns and starts from the initial state when loading fails', () => {
+      const error = new Error('Storage is unavailable');
+      const rendered = renderWithLoader(() => Promise.reject(error));
+      return flushPromises().then(() => {
+        const { nav } = rendered.getInstance().state;
+        expect(nav.routes[0].routeName).toBe('Home');
+        expect(console.warn).toBeCalledWith(
+          'Failed to load the navigation state: ',
+          error
+        );
+        rendered.unmount();
+      });
+    });
+
+    it('ignores a state that loads after unmounting', () => {
+      let resolveState = (state: *) => state;
+      const rendered = renderWithLoader(
+        () =>
+          new Promise((resolve: *) => {
+            resolveState = resolve;
+          })
+      );
+      const container = rendered.getInstance();
+      rendered.unmount();
+      resolveState(chatState);
+      return flushPromises().then(() => {
+        expect(container.state.nav).toBe(null);
+        expect(console.error).not.toBeCalled();
+      });
+    });
+  });
+
+  describe('canNavigate', () => {
+    const navigateToChat = NavigationActions.navigate({
+      routeName: 'Chat',
+      params: { id: '42' },
+    });
+
+    const renderWithGuard = (canNavigate: (action: *) => *) =>
+      renderer.create(
+        <NavigationContainer
+          canNavigate={canNavigate}
+          onNavigationStateChange={() => {}}
+        />
+      );
+
+    it('navigates once an async guard resolves to true', () => {
+      const rendered = renderWithGuard(() => Promise.resolve(true));
+      const container = rendered.getInstance();
+      expect(container.dispatch(navigateToChat)).toBe(false);
+      expect(container.state.nav.index).toBe(0);
+      return flushPromises().then(() => {
+        expect(container.state.nav.index).toBe(1);
+        rendered.unmount();
+      });
+    });
+
+    it('does not navigate when an async guard resolves to false', () => {
+      const rendered = renderWithGuard(() => Promise.resolve(false));
+      const container = rendered.getInstance();
+      container.dispatch(navigateToChat);
+      return flushPromises().then(() => {
+        expect(container.state.nav.index).toBe(0);
+        rendered.unmount();
+      });
+    });
+
+    it('does not navigate when the guard rejects', () => {
+      const rendered = renderWithGuard(() =>
+        Promise.reject(new Error('Prompt failed'))
+      );
+      const container = rendered.getInstance();
+      container.dispatch(navigateToChat);
+      return flushPromises().then(() => {
+        expect(container.state.nav.index).toBe(0);
+        rendered.unmount();
+      });
+    });
+
+    it('skips the change when the state moved on before the guard resolves', () => {
+      const rendered = renderWithGuard(
+        (action: *) =>
+          action.type === NavigationActions.NAVIGATE
+            ? Promise.resolve(true)
+            : true
+      );
+      const container = rendered.getInstance();
+      const homeKey = container.state.nav.routes[0].key;
+      container.dispatch(navigateToChat);
+      expect(
+        container.dispatch(
+          NavigationActions.setParams({ key: homeKey, params: { draft: 'hi' } })
+        )
+      ).toBe(true);
+      return flushPromises().then(() => {
+        // The navigation was allowed against a state that is gone
+        expect(container.state.nav.index).toBe(0);
+        expect(container.state.nav.routes[0].params).toEqual({ draft: 'hi' });
+        rendered.unmount();
+      });
+    });
+
+    it('skips the change when unmounted before the guard resolves', () => {
+      const consoleError = console.error;
+      // $FlowFixMe
+      console.error = jest.fn();
+      const rendered = renderWithGuard(() => Promise.resolve(true));
+      const container = rendered.getInstance();
+      container.dispatch(navigateToChat);
+      rendered.unmount();
+      return flushPromises().then(() => {
+        expect(container.state.nav.index).toBe(0);
+        expect(console.error).not.toBeCalled();
+        // $FlowFixMe
+        console.error = consoleError;
+      });
+    });
+  });
+
+  describe('middleware', () => {
+    const navigateToChat = NavigationActions.navigate({
+      routeName: 'Chat',
+      params: { id: '42' },
+    });
+
+    // Records the index of the state around the rest of the chain
+    const createLogger = (name: string, calls: Array<string>) => ({
+      getState,
+    }: *) => (next: *) => (action: *) => {
+      calls.push(`${name}:before:${getState().index}`);
+      const result = next(action);
+      calls.push(`${name}:after:${getState().index}`);
+      return result;
+    };
+
+    it('runs the middleware in order around the router', () => {
+      const calls = [];
+      const rendered = renderer.create(
+        <NavigationContainer
+          middleware={[
+            createLogger('first', calls),
+            createLogger('second', calls),
+          ]}
+          onNavigationStateChange={() => {}}
+        />
+      );
+      expect(rendered.getInstance().dispatch(navigateToChat)).toBe(true);
+      expect(calls).toEqual([
+        'first:before:0',
+        'second:before:0',
+        'second:after:1',
+        'first:after:1',
+      ]);
+      rendered.unmount();
+    });
+
+    it('lets the middleware stop or replace the actions', () => {
+      const rendered = renderer.create(
+        <NavigationContainer
+          middleware={[
+            () => (next: *) => (action: *) =>
+              action.routeName === 'Chat'
+                ? next({ ...action, params: { id: '7' } })
+                : false,
+          ]}
+          onNavigationStateChange={() => {}}
+        />
+      );
+      const container = rendered.getInstance();
+      expect(
+        container.dispatch(NavigationActions.navigate({ routeName: 'Home' }))
+      ).toBe(false);
+      expect(container.state.nav.index).toBe(0);
+
+      expect(container.dispatch(navigateToChat)).toBe(true);
+      expect(container.state.nav.routes[1].params).toEqual({ id: '7' });
+      rendered.unmount();
+    });
+
+    it('uses the middleware it is given on update', () => {
+      const calls = [];
+      const rendered = renderer.create(
+        <NavigationContainer onNavigationStateChange={() => {}} />
+      );
+      rendered.update(
+        <NavigationContainer
+          middleware={[createLogger('added', calls)]}
+          onNavigationStateChange={() => {}}
+        />
+      );
+      rendered.getInstance().dispatch(navigateToChat);
+      expect(calls).toEqual(['added:before:0', 'added:after:1']);
+      rendered.unmount();
+    });
+  });
+});
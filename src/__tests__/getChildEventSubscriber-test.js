@@ -0,0 +1,216 @@
+/* @flow */
+
+import NavigationActions from '../NavigationActions';
+import getChildEventSubscriber from '../getChildEventSubscriber';
+
+const createParent = () => {
+  const callbacks = {};
+  return {
+    addListener: (eventName: *, callback: *) => {
+      callbacks[eventName] = callbacks[eventName] || [];
+      callbacks[eventName].push(callback);
+      return {
+        remove: () => {
+          callbacks[eventName] = callbacks[eventName].filter(
+            (c: *) => c !== callback
+          );
+        },
+      };
+    },
+    emit: (payload: *) =>
+      (callbacks[payload.type] || [])
+        .forEach((callback: *) => callback(payload)),
+  };
+};
+
+const stateA = {
+  index: 0,
+  routes: [{ key: 'A', routeName: 'A' }],
+};
+const stateAB = {
+  index: 1,
+  routes: [{ key: 'A', routeName: 'A' }, { key: 'B', routeName: 'B' }],
+};
+
+const listenToAll = (subscriber: *) => {
+  const events = [];
+  [
+    'action',
+    'willFocus',
+    'didFocus',
+    'willBlur',
+    'didBlur',
+  ].forEach((eventName: *) =>
+    subscriber.addListener(eventName, (payload: *) => {
+      events.push(payload.type);
+    })
+  );
+  return events;
+};
+
+describe('getChildEventSubscriber', () => {
+  it('focuses the focused route of the first action', () => {
+    const parent = createParent();
+    const eventsA = listenToAll(
+      getChildEventSubscriber(parent.addListener, 'A')
+    );
+    const eventsB = listenToAll(
+      getChildEventSubscriber(parent.addListener, 'B')
+    );
+    parent.emit({
+      type: 'action',
+      action: NavigationActions.init(),
+      state: stateAB,
+      lastState: null,
+    });
+    expect(eventsA).toEqual([]);
+    expect(eventsB).toEqual(['willFocus', 'didFocus']);
+  });
+
+  it('passes the route states of the child', () => {
+    const parent = createParent();
+    const subscriber = getChildEventSubscriber(parent.addListener, 'B');
+    const didFocus = jest.fn();
+    subscriber.addListener('didFocus', didFocus);
+    const action = NavigationActions.navigate({ routeName: 'B' });
+    parent.emit({ type: 'action', action, state: stateAB, lastState: stateA });
+    expect(didFocus).toBeCalledWith({
+      type: 'didFocus',
+      action,
+      state: stateAB.routes[1],
+      lastState: undefined,
+    });
+  });
+
+  it('holds back didFocus and didBlur until the transition completes', () => {
+    const parent = createParent();
+    const subscriberA = getChildEventSubscriber(parent.addListener, 'A');
+    const subscriberB = getChildEventSubscriber(parent.addListener, 'B');
+    const eventsA = listenToAll(subscriberA);
+    const eventsB = listenToAll(subscriberB);
+    parent.emit({
+      type: 'action',
+      action: NavigationActions.init(),
+      state: stateA,
+      lastState: null,
+    });
+    parent.emit({
+      type: 'action',
+      action: NavigationActions.navigate({ routeName: 'B' }),
+      state: stateAB,
+      lastState: stateA,
+      isTransitioning: true,
+    });
+    expect(eventsA).toEqual(['willFocus', 'didFocus', 'willBlur']);
+    expect(eventsB).toEqual(['willFocus']);
+
+    subscriberA.refresh();
+    subscriberB.refresh();
+    expect(eventsA).toEqual(['willFocus', 'didFocus', 'willBlur', 'didBlur']);
+    expect(eventsB).toEqual(['willFocus', 'didFocus']);
+  });
+
+  it('passes on actions while the child is focused', () => {
+    const parent = createParent();
+    const events = listenToAll(
+      getChildEventSubscriber(parent.addListener, 'A')
+    );
+    parent.emit({
+      type: 'action',
+      action: NavigationActions.init(),
+      state: stateA,
+      lastState: null,
+    });
+    parent.emit({
+      type: 'action',
+      action: NavigationActions.setParams({ key: 'A', params: {} }),
+      state: stateA,
+      lastState: stateA,
+    });
+    expect(events).toEqual(['willFocus', 'didFocus', 'action']);
+  });
+
+  it('passes on tab presses to the focused child', () => {
+    const parent = createParent();
+    const subscriberA = getChildEventSubscriber(parent.addListener, 'A');
+    const subscriberB = getChildEventSubscriber(parent.addListener, 'B');
+    const tabPressA = jest.fn();
+    const tabPressB = jest.fn();
+    subscriberA.addListener('tabPress', tabPressA);
+    subscriberB.addListener('tabPress', tabPressB);
+    parent.emit({
+      type: 'action',
+      action: NavigationActions.init(),
+      state: stateAB,
+      lastState: null,
+    });
+    const action = NavigationActions.navigate({ routeName: 'Tab' });
+    parent.emit({
+      type: 'tabPress',
+      action,
+      state: stateAB,
+      lastState: stateAB,
+    });
+    expect(tabPressA).not.toBeCalled();
+    expect(tabPressB).toBeCalledWith({
+      type: 'tabPress',
+      action,
+      state: stateAB.routes[1],
+      lastState: stateAB.routes[1],
+    });
+  });
+
+  it('follows the focus of its parent', () => {
+    const parent = createParent();
+    const events = listenToAll(
+      getChildEventSubscriber(parent.addListener, 'B')
+    );
+    parent.emit({
+      type: 'willFocus',
+      action: NavigationActions.init(),
+      state: stateAB,
+      lastState: null,
+    });
+    expect(events).toEqual(['willFocus']);
+    parent.emit({
+      type: 'didFocus',
+      action: NavigationActions.init(),
+      state: stateAB,
+      lastState: null,
+    });
+    parent.emit({
+      type: 'willBlur',
+      action: NavigationActions.back(),
+      state: stateAB,
+      lastState: stateAB,
+    });
+    parent.emit({
+      type: 'didBlur',
+      action: NavigationActions.back(),
+      state: stateAB,
+      lastState: stateAB,
+    });
+    expect(events).toEqual(['willFocus', 'didFocus', 'willBlur', 'didBlur']);
+  });
+
+  it('blurs a focused child when it is removed', () => {
+    const parent = createParent();
+    const subscriber = getChildEventSubscriber(parent.addListener, 'A');
+    const events = listenToAll(subscriber);
+    parent.emit({
+      type: 'action',
+      action: NavigationActions.init(),
+      state: stateA,
+      lastState: null,
+    });
+    subscriber.remove();
+    expect(events).toEqual(['willFocus', 'didFocus', 'willBlur', 'didBlur']);
+    parent.emit({
+      type: 'action',
+      action: NavigationActions.init(),
+      state: stateA,
+      lastState: null,
+    });
+    expect(events.length).toBe(4);
+  });
+});
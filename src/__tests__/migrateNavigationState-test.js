@@ -0,0 +1,60 @@
+/* @flow */
+
+import migrateNavigationState from '../migrateNavigationState';
+import createNavigationStatePersistence
+  from '../createNavigationStatePersistence';
+
+const renameRoute = (from: string, to: string) => (state: *) => ({
+  ...state,
+  routes: state.routes.map(
+    (route: *) =>
+      route.routeName === from ? { ...route, routeName: to } : route
+  ),
+});
+
+const migrations = {
+  '3': renameRoute('Account', 'Settings'),
+  '2': renameRoute('User', 'Account'),
+};
+
+const oldState = {
+  index: 0,
+  routes: [{ key: 'A', routeName: 'User' }],
+};
+
+describe('migrateNavigationState', () => {
+  it('runs the newer migrations in order', () => {
+    expect(migrateNavigationState(oldState, 1, migrations)).toEqual({
+      index: 0,
+      routes: [{ key: 'A', routeName: 'Settings' }],
+    });
+    expect(migrateNavigationState(oldState, 2, migrations)).toEqual(oldState);
+  });
+
+  it('migrates persisted states when loading them', () => {
+    const items = {};
+    const storage = {
+      getItem: (key: string) => Promise.resolve(items[key]),
+      setItem: (key: string, value: string) => {
+        items[key] = value;
+        return Promise.resolve();
+      },
+    };
+    const oldPersistence = createNavigationStatePersistence(storage, 'Nav', {
+      version: 1,
+    });
+    const persistence = createNavigationStatePersistence(storage, 'Nav', {
+      version: 3,
+      migrations,
+    });
+    return oldPersistence
+      .persistNavigationState(oldState)
+      .then(() => persistence.loadNavigationState())
+      .then((state: *) => {
+        expect(state).toEqual({
+          index: 0,
+          routes: [{ key: 'A', routeName: 'Settings' }],
+        });
+      });
+  });
+});
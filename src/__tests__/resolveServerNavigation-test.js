@@ -0,0 +1,63 @@
+/* @flow */
+/* eslint react/display-name:0 */
+
+import React from 'react';
+
+import StackRouter from '../routers/StackRouter';
+import resolveServerNavigation from '../resolveServerNavigation';
+
+const HomeScreen = () => <div />;
+HomeScreen.navigationOptions = { title: 'Home' };
+
+const ChatScreen = () => <div />;
+ChatScreen.navigationOptions = ({ navigation }: *) => ({
+  title: `Chat ${navigation.state.params.id}`,
+});
+
+const NotFoundScreen = () => <div />;
+
+const router = StackRouter({
+  Home: { screen: HomeScreen, path: 'home' },
+  Chat: { screen: ChatScreen, path: 'chat/:id' },
+  NotFound: { screen: NotFoundScreen, path: 'not-found' },
+});
+
+describe('resolveServerNavigation', () => {
+  it('resolves the state and options for a path', () => {
+    const result = resolveServerNavigation(router, '/chat/42?draft=hi');
+    expect(result.status).toBe(200);
+    expect(result.redirectURI).toBe(null);
+    expect(result.uri).toBe('chat/42?draft=hi');
+    expect(result.options).toEqual({ title: 'Chat 42' });
+    const route = result.state.routes[result.state.index];
+    expect(route.routeName).toBe('Chat');
+    expect(route.params).toEqual({ id: '42', draft: 'hi' });
+    expect(JSON.parse(result.serializedState)).toEqual(result.state);
+    expect(result.navigation.dispatch({ type: 'Navigation/BACK' })).toBe(false);
+  });
+
+  it('renders the not found route for unknown paths', () => {
+    const result = resolveServerNavigation(router, '/missing', {
+      notFoundRouteName: 'NotFound',
+    });
+    expect(result.status).toBe(404);
+    const route = result.state.routes[result.state.index];
+    expect(route.routeName).toBe('NotFound');
+    expect(route.params).toEqual({ path: '/missing' });
+  });
+
+  it('redirects to the canonical path', () => {
+    const result = resolveServerNavigation(router, 'https://example.com', {
+      uriPrefix: 'https://example.com',
+      redirectToCanonicalURI: true,
+    });
+    expect(result.status).toBe(301);
+    expect(result.redirectURI).toBe('/home');
+  });
+
+  it('escapes the serialized state for inline scripts', () => {
+    const result = resolveServerNavigation(router, '/chat/%3C%2Fscript%3E');
+    expect(result.serializedState).not.toContain('</script>');
+    expect(JSON.parse(result.serializedState)).toEqual(result.state);
+  });
+});
@@ -6,6 +6,10 @@
 
 import type {
   NavigationAction,
+  NavigationEventCallback,
+  NavigationEventName,
+  NavigationEventSubscription,
+  NavigationNavigateAction,
   NavigationProp,
   NavigationParams,
 } from './TypeDefinition';
@@ -45,5 +49,74 @@ export default function<S: *>(navigation: NavigationProp<S, NavigationAction>) {
           key: navigation.state.key,
         })
       ),
+    /**
+     * Replaces the route of this screen with a new route, which animates in
+     * like a pushed screen.
+     */
+    replace: (
+      routeName: string,
+      params?: NavigationParams,
+      action?: NavigationNavigateAction
+    ): boolean =>
+      navigation.dispatch(
+        NavigationActions.replace({
+          key: navigation.state.key,
+          routeName,
+          params,
+          action,
+        })
+      ),
+    /**
+     * Goes back `n` screens in the stack, at most to its first screen.
+     */
+    pop: (n?: number = 1): boolean =>
+      navigation.dispatch(NavigationActions.popN({ n })),
+    popToTop: (): boolean => navigation.dispatch(NavigationActions.popToTop()),
+    /**
+     * Unlike `navigate`, always pushes a new route, even when the focused
+     * route has the same name.
+     */
+    push: (
+      routeName: string,
+      params?: NavigationParams,
+      action?: NavigationNavigateAction
+    ): boolean =>
+      navigation.dispatch(
+        NavigationActions.push({
+          routeName,
+          params,
+          action,
+        })
+      ),
+    /**
+     * Open, close or toggle the drawer of the closest drawer navigator.
+     */
+    openDrawer: (): boolean =>
+      navigation.dispatch(NavigationActions.openDrawer()),
+    closeDrawer: (): boolean =>
+      navigation.dispatch(NavigationActions.closeDrawer()),
+    toggleDrawer: (): boolean =>
+      navigation.dispatch(NavigationActions.toggleDrawer()),
+    /**
+     * Returns the URI of the state that would result from dispatching
+     * `action`, or the URI of the current state when no action is given.
+     * This is `null` unless the navigation comes from a container that can
+     * build URIs.
+     */
+    getURI: (action?: NavigationAction): ?string =>
+      navigation.getURIForAction ? navigation.getURIForAction(action) : null,
+    /**
+     * Subscribes to the `willFocus`, `didFocus`, `willBlur` and `didBlur`
+     * events of the screen, and to the `action` events dispatched while it is
+     * focused. Events are only emitted below a navigation container that owns
+     * its state.
+     */
+    addListener: (
+      eventName: NavigationEventName,
+      callback: NavigationEventCallback
+    ): NavigationEventSubscription =>
+      navigation.addListener
+        ? navigation.addListener(eventName, callback)
+        : { remove: () => {} },
   };
 }
@@ -0,0 +1,34 @@
+/* @flow */
+
+import type {
+  NavigationAction,
+  NavigationDispatch,
+  NavigationMiddleware,
+  NavigationMiddlewareAPI,
+} from './TypeDefinition';
+
+/**
+ * Chains the middleware in front of `dispatch`, the first middleware being
+ * the first to see an action.
+ *
+ * Each middleware may inspect or replace the action before passing it on
+ * with `next`, call `next` later to delay it, or not call it at all to
+ * cancel it. After `next` returns, `api.getState()` is the resulting state.
+ */
+export default function applyNavigationMiddleware(
+  middleware: Array<NavigationMiddleware>,
+  api: NavigationMiddlewareAPI,
+  dispatch: NavigationDispatch<NavigationAction>
+): NavigationDispatch<NavigationAction> {
+  return middleware
+    .map((item: NavigationMiddleware) => item(api))
+    .reduceRight(
+      (
+        next: NavigationDispatch<NavigationAction>,
+        wrap: (
+          next: NavigationDispatch<NavigationAction>
+        ) => NavigationDispatch<NavigationAction>
+      ) => wrap(next),
+      dispatch
+    );
+}
@@ -0,0 +1,245 @@
+/* @flow */
+
+import React from 'react';
+import NavigationActions from './NavigationActions';
+import addNavigationHelpers from './addNavigationHelpers';
+import URLUtils from './URLUtils';
+import getActiveScreenOptions from './routers/getActiveScreenOptions';
+import getStateForPathAndParams from './routers/getStateForPathAndParams';
+
+import type {
+  NavigationRoute,
+  NavigationAction,
+  NavigationEventCallback,
+  NavigationEventName,
+  NavigationEventSubscription,
+  NavigationState,
+  NavigationScreenProp,
+  NavigationNavigatorProps,
+} from './TypeDefinition';
+
+export type BrowserAppContainerConfig = {
+  /**
+   * The path the app is served from, e.g. `/app`. It is left out of the
+   * paths handed to the router and prepended to the URIs it builds.
+   */
+  basePath?: string,
+  /**
+   * Keep the path in the hash of the URL (`/#/chat/42`) instead of in its
+   * path. Useful when the server cannot serve the app for every path.
+   */
+  useHash?: boolean,
+};
+
+type Props = {
+  onNavigationStateChange?: (
+    NavigationState,
+    NavigationState,
+    NavigationAction
+  ) => void,
+  screenProps?: *,
+  /**
+   * A state resolved ahead of time, e.g. the `serializedState` of
+   * `resolveServerNavigation`, to start from instead of the current URL.
+   */
+  initialNavigationState?: NavigationState,
+};
+
+type State = {
+  nav: NavigationState,
+};
+
+const REPLACE_ACTIONS = [
+  NavigationActions.BACK,
+  NavigationActions.INIT,
+  NavigationActions.RESET,
+  NavigationActions.SET_PARAMS,
+];
+
+/**
+ * Actions that move back or edit the current entry replace it in the
+ * browser history, every other action adds a new entry.
+ */
+function shouldReplaceHistory(action: NavigationAction): boolean {
+  return REPLACE_ACTIONS.indexOf(action.type) !== -1;
+}
+
+/**
+ * Create a root container that keeps the navigation state of a navigator in
+ * sync with the browser History API.
+ */
+export default function createBrowserAppContainer<T: *>(
+  Component: ReactClass<NavigationNavigatorProps<T>>,
+  config: BrowserAppContainerConfig = {}
+) {
+  const { router } = Component;
+  const basePath = (config.basePath || '').replace(/\/+$/, '');
+  const useHash = !!config.useHash;
+
+  function getLocationURI(): string {
+    const { location } = window;
+    if (useHash) {
+      return location.hash.replace(/^#/, '');
+    }
+    let { pathname } = location;
+    if (basePath && pathname.indexOf(basePath) === 0) {
+      pathname = pathname.slice(basePath.length);
+    }
+    return `${pathname}${location.search}`;
+  }
+
+  function getStateForLocation(): NavigationState {
+    const { path, params } = URLUtils.parse(getLocationURI());
+    return (
+      getStateForPathAndParams(router, path, params) ||
+      router.getStateForAction(NavigationActions.init())
+    );
+  }
+
+  function getHref(uri: string): string {
+    return useHash ? `#/${uri}` : `${basePath}/${uri}`;
+  }
+
+  class BrowserAppContainer extends React.Component<void, Props, State> {
+    state: State;
+    props: Props;
+
+    static router = router;
+
+    constructor(props: Props) {
+      super(props);
+
+      this.state = {
+        nav: props.initialNavigationState || getStateForLocation(),
+      };
+      this._nav = this.state.nav;
+    }
+
+    /**
+     * The latest state, which `this.state` only catches up with once React
+     * has rendered it.
+     */
+    _nav: NavigationState;
+
+    componentDidMount() {
+      window.addEventListener('popstate', this._handlePopState);
+      this._updateHistory(this.state.nav, true);
+      this._updateTitle(this.state.nav);
+      this._emitAction(NavigationActions.init(), this.state.nav, null);
+    }
+
+    componentWillUnmount() {
+      window.removeEventListener('popstate', this._handlePopState);
+    }
+
+    _handlePopState = (event: { state: ?{ nav?: NavigationState } }) => {
+      // Entries we pushed remember their state, anything else is resolved
+      // from the URL again.
+      const nav = event.state && event.state.nav
+        ? event.state.nav
+        : getStateForLocation();
+      const lastNav = this._nav;
+      this._nav = nav;
+      this.setState({ nav }, () => {
+        this._updateTitle(nav);
+        // The restored state did not come from an action, it is announced
+        // like a fresh start.
+        this._emitAction(NavigationActions.init(), nav, lastNav);
+      });
+    };
+
+    _updateHistory(nav: NavigationState, replace: boolean) {
+      const uri = router.getURIForState(nav);
+      if (uri == null) {
+        return;
+      }
+      const href = getHref(uri);
+      const currentHref = getHref(getLocationURI().replace(/^\/+/, ''));
+      if (replace || currentHref === href) {
+        window.history.replaceState({ nav }, '', href);
+      } else {
+        window.history.pushState({ nav }, '', href);
+      }
+    }
+
+    _updateTitle(nav: NavigationState) {
+      const { title } = getActiveScreenOptions(
+        router,
+        { state: nav, dispatch: this.dispatch },
+        this.props.screenProps
+      );
+      if (title) {
+        document.title = title;
+      }
+    }
+
+    dispatch = (action: NavigationAction): boolean => {
+      const prevNav = this._nav;
+      const nav = router.getStateForAction(action, prevNav);
+      if (!nav || nav === prevNav) {
+        return false;
+      }
+      this._nav = nav;
+      this._updateHistory(nav, shouldReplaceHistory(action));
+      this.setState({ nav }, () => {
+        this._updateTitle(nav);
+        if (typeof this.props.onNavigationStateChange === 'function') {
+          this.props.onNavigationStateChange(prevNav, nav, action);
+        }
+        this._emitAction(action, nav, prevNav);
+      });
+      return true;
+    };
+
+    _actionSubscribers: Set<NavigationEventCallback> = new Set();
+
+    addListener = (
+      eventName: NavigationEventName,
+      callback: NavigationEventCallback
+    ): NavigationEventSubscription => {
+      if (eventName !== 'action') {
+        return { remove: () => {} };
+      }
+      this._actionSubscribers.add(callback);
+      return {
+        remove: () => {
+          this._actionSubscribers.delete(callback);
+        },
+      };
+    };
+
+    _emitAction(
+      action: NavigationAction,
+      state: NavigationState,
+      lastState: ?NavigationState
+    ) {
+      this._actionSubscribers.forEach((callback: NavigationEventCallback) =>
+        callback({ type: 'action', action, state, lastState })
+      );
+    }
+
+    getURIForAction = (action?: NavigationAction): ?string => {
+      const nav = this._nav;
+      const uri = action
+        ? router.getURIForAction(action, nav)
+        : router.getURIForState(nav);
+      return uri == null ? uri : getHref(uri);
+    };
+
+    _navigation: ?NavigationScreenProp<NavigationRoute, NavigationAction>;
+
+    render() {
+      if (!this._navigation || this._navigation.state !== this.state.nav) {
+        this._navigation = addNavigationHelpers({
+          dispatch: this.dispatch,
+          state: this.state.nav,
+          getURIForAction: this.getURIForAction,
+          addListener: this.addListener,
+        });
+      }
+      return <Component {...this.props} navigation={this._navigation} />;
+    }
+  }
+
+  return BrowserAppContainer;
+}
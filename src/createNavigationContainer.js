@@ -5,10 +5,18 @@ import invariant from './utils/invariant';
 import { BackAndroid, Linking } from './PlatformHelpers';
 import NavigationActions from './NavigationActions';
 import addNavigationHelpers from './addNavigationHelpers';
+import URLUtils from './URLUtils';
+import isNavigationStateValid from './routers/isNavigationStateValid';
+import applyNavigationMiddleware from './applyNavigationMiddleware';
 
 import type {
   NavigationRoute,
   NavigationAction,
+  NavigationEventCallback,
+  NavigationEventName,
+  NavigationEventSubscription,
+  NavigationDispatch,
+  NavigationMiddleware,
   NavigationState,
   NavigationScreenProp,
   NavigationNavigatorProps,
@@ -21,6 +29,33 @@ type NavigationContainerProps = {
     NavigationState,
     NavigationAction
   ) => void,
+  /**
+   * Called with every new state, e.g. to write it to storage.
+   */
+  persistNavigationState?: (state: NavigationState) => ?Promise<*>,
+  /**
+   * Resolves to a previously persisted state to start from. States that no
+   * longer match the routes of the navigator are ignored.
+   */
+  loadNavigationState?: () => Promise<?NavigationState>,
+  /**
+   * Rendered while `loadNavigationState` is pending.
+   */
+  renderLoading?: () => ?React.Element<*>,
+  /**
+   * Run, in order, on every action before it reaches the router.
+   */
+  middleware?: Array<NavigationMiddleware>,
+  /**
+   * Asked before every state change, after the `canEnter` and `canLeave`
+   * hooks of the route configs. Resolving a promise to true applies the
+   * change later, e.g. once the user confirmed a prompt.
+   */
+  canNavigate?: (
+    action: NavigationAction,
+    nextState: NavigationState,
+    lastState: NavigationState
+  ) => boolean | Promise<boolean>,
 };
 
 type Props<T> = NavigationContainerProps & NavigationNavigatorProps<T>;
@@ -60,10 +95,36 @@ export default function createNavigationContainer<T: *>(
       this._validateProps(props);
 
       this.state = {
-        nav: this._isStateful()
+        nav: this._isStateful() && !props.loadNavigationState
           ? Component.router.getStateForAction(NavigationActions.init())
           : null,
       };
+      this._nav = this.state.nav;
+      this._applyMiddleware(props.middleware);
+    }
+
+    /**
+     * The latest state, which `this.state` only catches up with once React
+     * has rendered it.
+     */
+    _nav: ?NavigationState;
+
+    /**
+     * Set once the container unmounted, for the promises that settle after.
+     */
+    _isUnmounted: boolean = false;
+
+    _dispatchWithMiddleware: NavigationDispatch<NavigationAction>;
+
+    _applyMiddleware(middleware: ?Array<NavigationMiddleware>) {
+      this._dispatchWithMiddleware = applyNavigationMiddleware(
+        middleware || [],
+        {
+          getState: () => this._nav,
+          dispatch: (action: NavigationAction) => this.dispatch(action),
+        },
+        this._dispatchToRouter
+      );
     }
 
     _isStateful(): boolean {
@@ -89,16 +150,7 @@ export default function createNavigationContainer<T: *>(
     }
 
     _urlToPathAndParams(url: string) {
-      const params = {};
-      const delimiter = this.props.uriPrefix || '://';
-      let path = url.split(delimiter)[1];
-      if (!path) {
-        path = url;
-      }
-      return {
-        path,
-        params,
-      };
+      return URLUtils.parse(url, this.props.uriPrefix);
     }
 
     _handleOpenURL = (url: string) => {
@@ -146,6 +198,9 @@ export default function createNavigationContainer<T: *>(
 
     componentWillReceiveProps(nextProps: *) {
       this._validateProps(nextProps);
+      if (nextProps.middleware !== this.props.middleware) {
+        this._applyMiddleware(nextProps.middleware);
+      }
     }
 
     componentDidMount() {
@@ -153,48 +208,211 @@ export default function createNavigationContainer<T: *>(
         return;
       }
 
-      this.subs = BackAndroid.addEventListener('backPress', () =>
-        this.dispatch(NavigationActions.back())
+      this.subs = BackAndroid.addEventListener(
+        'backPress',
+        this._handleBackPress
       );
 
       Linking.addEventListener('url', ({ url }: { url: string }) => {
         this._handleOpenURL(url);
       });
 
-      Linking.getInitialURL().then(
-        (url: string) => url && this._handleOpenURL(url)
-      );
+      this._loadNavigationState()
+        .then(() => {
+          if (this._isUnmounted) {
+            return null;
+          }
+          this._emitAction(NavigationActions.init(), this.state.nav, null);
+          return Linking.getInitialURL();
+        })
+        .then((url: ?string) => {
+          if (url && !this._isUnmounted) {
+            this._handleOpenURL(url);
+          }
+        });
+    }
+
+    _loadNavigationState(): Promise<void> {
+      const { loadNavigationState } = this.props;
+      if (!loadNavigationState) {
+        return Promise.resolve();
+      }
+      return loadNavigationState()
+        .catch((error: Error) => {
+          console.warn('Failed to load the navigation state: ', error);
+          return null;
+        })
+        .then((loadedNav: ?NavigationState) => {
+          if (this._isUnmounted) {
+            return undefined;
+          }
+          const nav = loadedNav &&
+            isNavigationStateValid(Component.router, loadedNav)
+            ? loadedNav
+            : Component.router.getStateForAction(NavigationActions.init());
+          this._nav = nav;
+          return new Promise((resolve: () => void) =>
+            this.setState({ nav }, resolve)
+          );
+        });
+    }
+
+    _persistNavigationState(nav: NavigationState) {
+      const { persistNavigationState } = this.props;
+      if (!persistNavigationState) {
+        return;
+      }
+      const result = persistNavigationState(nav);
+      if (result && typeof result.catch === 'function') {
+        result.catch((error: Error) => {
+          console.warn('Failed to persist the navigation state: ', error);
+        });
+      }
     }
 
     componentWillUnmount() {
+      this._isUnmounted = true;
       Linking.removeEventListener('url', this._handleOpenURL);
       this.subs && this.subs.remove();
     }
 
     dispatch = (action: NavigationAction) => {
-      const { state } = this;
       if (!this._isStateful()) {
         return false;
       }
-      const nav = Component.router.getStateForAction(action, state.nav);
-      if (nav && nav !== state.nav) {
-        this.setState({ nav }, () =>
-          this._onNavigationStateChange(state.nav, nav, action)
+      return this._dispatchWithMiddleware(action);
+    };
+
+    _handleBackPress = () => {
+      const action = NavigationActions.back();
+      if (this.dispatch(action)) {
+        return true;
+      }
+      // A back that was refused is still handled, the app is only left when
+      // there is nothing to go back to.
+      const nav = this._nav;
+      const nextNav =
+        nav &&
+        Component.router.getStateForAction(
+          { ...action, skipRouteGuards: true },
+          nav
         );
+      return !!nextNav && nextNav !== nav;
+    };
+
+    _dispatchToRouter = (action: NavigationAction) => {
+      const prevNav = this._nav;
+      if (!prevNav) {
+        return false;
+      }
+      const nav = Component.router.getStateForAction(action, prevNav);
+      if (!nav || nav === prevNav) {
+        return false;
+      }
+      const { canNavigate } = this.props;
+      const allowed = canNavigate ? canNavigate(action, nav, prevNav) : true;
+      if (allowed === true) {
+        this._setNavigationState(nav, prevNav, action);
         return true;
       }
+      if (allowed) {
+        Promise.resolve(allowed)
+          // A guard that fails refuses the change
+          .catch(() => false)
+          .then((isAllowed: boolean) => {
+            // Skip the change when the state moved on in the meantime.
+            if (
+              isAllowed === true &&
+              !this._isUnmounted &&
+              this._nav === prevNav
+            ) {
+              this._setNavigationState(nav, prevNav, action);
+            }
+          });
+      }
       return false;
     };
 
+    _setNavigationState(
+      nav: NavigationState,
+      prevNav: NavigationState,
+      action: NavigationAction
+    ) {
+      this._nav = nav;
+      this.setState({ nav }, () => {
+        this._onNavigationStateChange(prevNav, nav, action);
+        this._emitAction(action, nav, prevNav);
+      });
+      this._persistNavigationState(nav);
+    }
+
+    _actionSubscribers: Set<NavigationEventCallback> = new Set();
+
+    /**
+     * The root of the navigation events: every state change is announced
+     * with an `action` event, from which the navigators derive the focus
+     * events of their screens.
+     */
+    addListener = (
+      eventName: NavigationEventName,
+      callback: NavigationEventCallback
+    ): NavigationEventSubscription => {
+      if (eventName !== 'action') {
+        return { remove: () => {} };
+      }
+      this._actionSubscribers.add(callback);
+      return {
+        remove: () => {
+          this._actionSubscribers.delete(callback);
+        },
+      };
+    };
+
+    _emitAction(
+      action: NavigationAction,
+      state: ?NavigationState,
+      lastState: ?NavigationState
+    ) {
+      this._actionSubscribers.forEach((callback: NavigationEventCallback) =>
+        callback({ type: 'action', action, state, lastState })
+      );
+    }
+
+    getURIForAction = (action?: NavigationAction): ?string => {
+      const { router } = Component;
+      const { nav } = this.state;
+      if (!nav || !router.getURIForState || !router.getURIForAction) {
+        return null;
+      }
+      const uri = action
+        ? router.getURIForAction(action, nav)
+        : router.getURIForState(nav);
+      const { uriPrefix } = this.props;
+      if (uri == null || typeof uriPrefix !== 'string') {
+        return uri;
+      }
+      // The URIs of the routers are relative, a prefix like
+      // `https://example.com` needs a separator before them.
+      return uriPrefix.slice(-1) === '/'
+        ? `${uriPrefix}${uri}`
+        : `${uriPrefix}/${uri}`;
+    };
+
     _navigation: ?NavigationScreenProp<NavigationRoute, NavigationAction>;
 
     render() {
       let navigation = this.props.navigation;
       if (this._isStateful()) {
+        if (!this.state.nav) {
+          const { renderLoading } = this.props;
+          return renderLoading ? renderLoading() : null;
+        }
         if (!this._navigation || this._navigation.state !== this.state.nav) {
           this._navigation = addNavigationHelpers({
             dispatch: this.dispatch,
             state: this.state.nav,
+            getURIForAction: this.getURIForAction,
+            addListener: this.addListener,
           });
         }
         navigation = this._navigation;
@@ -0,0 +1,58 @@
+/* @flow */
+
+import migrateNavigationState from './migrateNavigationState';
+
+import type { NavigationState } from './TypeDefinition';
+import type { NavigationStateMigrations } from './migrateNavigationState';
+
+/**
+ * Any storage with the promise based API of `AsyncStorage`.
+ */
+export type NavigationStateStorage = {
+  getItem: (key: string) => Promise<?string>,
+  setItem: (key: string, value: string) => Promise<*>,
+};
+
+export type NavigationStatePersistenceConfig = {
+  /**
+   * The version of the route configs, saved along with the state.
+   */
+  version?: number,
+  /**
+   * Applied to states saved with an older version before they are restored.
+   */
+  migrations?: NavigationStateMigrations,
+};
+
+/**
+ * Creates the `loadNavigationState` and `persistNavigationState` props of a
+ * navigation container, storing the state as JSON under `key`.
+ *
+ * ```javascript
+ * <AppNavigator {...createNavigationStatePersistence(AsyncStorage)} />
+ * ```
+ */
+export default function createNavigationStatePersistence(
+  storage: NavigationStateStorage,
+  key: string = 'NavigationState',
+  config: NavigationStatePersistenceConfig = {}
+) {
+  const version = config.version || 0;
+  return {
+    loadNavigationState: (): Promise<?NavigationState> =>
+      storage.getItem(key).then((json: ?string) => {
+        if (!json) {
+          return null;
+        }
+        const saved = JSON.parse(json);
+        // States saved without a version are the raw state of version 0
+        const savedVersion = saved.state ? saved.version : 0;
+        const state = saved.state || saved;
+        return config.migrations
+          ? migrateNavigationState(state, savedVersion, config.migrations)
+          : state;
+      }),
+    persistNavigationState: (state: NavigationState): Promise<*> =>
+      storage.setItem(key, JSON.stringify({ version, state })),
+  };
+}
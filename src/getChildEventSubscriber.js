@@ -0,0 +1,184 @@
+/* @flow */
+
+import type {
+  NavigationAddListener,
+  NavigationEventCallback,
+  NavigationEventName,
+  NavigationEventPayload,
+  NavigationEventSubscription,
+  NavigationRoute,
+  NavigationState,
+} from './TypeDefinition';
+
+export type NavigationEventSubscriber = {
+  addListener: NavigationAddListener,
+  /**
+   * Evaluates the last event of the parent again, e.g. once the transition
+   * that held back `didFocus` and `didBlur` has completed.
+   */
+  refresh: () => void,
+  /**
+   * Stops listening to the parent. A child that is still focused is blurred
+   * first, so its screen gets `willBlur` and `didBlur` before unmounting.
+   */
+  remove: () => void,
+  /**
+   * Emits an event that the view of the parent raises for the child, like
+   * `tabPress`, to the child and to the screens focused inside of it.
+   */
+  emit: (eventName: NavigationEventName, payload: *) => void,
+};
+
+const EVENT_NAMES: Array<NavigationEventName> = [
+  'action',
+  'willFocus',
+  'didFocus',
+  'willBlur',
+  'didBlur',
+  'tabPress',
+];
+
+const isFocusEvent = (eventName: NavigationEventName) =>
+  eventName === 'willFocus' || eventName === 'didFocus';
+
+const findRoute = (state: ?NavigationState, key: string): ?NavigationRoute =>
+  state && state.routes
+    ? state.routes.find((route: NavigationRoute) => route.key === key)
+    : undefined;
+
+/**
+ * Derives the events of the child route with the given `key` from the events
+ * of its parent navigation.
+ *
+ * The child moves through `willFocus`, `didFocus`, `willBlur` and `didBlur`
+ * as it becomes the focused route of a focused parent and stops being one.
+ * While the parent is transitioning, `didFocus` and `didBlur` are held back
+ * until `refresh` is called. `action` and `tabPress` events are passed on
+ * while the child is focused.
+ */
+export default function getChildEventSubscriber(
+  addListener: NavigationAddListener,
+  key: string
+): NavigationEventSubscriber {
+  const callbacks: { [eventName: NavigationEventName]: Set<*> } = {};
+  EVENT_NAMES.forEach((eventName: NavigationEventName) => {
+    callbacks[eventName] = new Set();
+  });
+
+  // Children start out blurred, the first event of a focused parent moves
+  // them through `willFocus` and `didFocus`.
+  let lastEmittedEvent: NavigationEventName = 'didBlur';
+  let lastPayload: ?NavigationEventPayload = null;
+
+  const emit = (eventName: NavigationEventName, payload: *) => {
+    callbacks[eventName].forEach((callback: NavigationEventCallback) =>
+      callback({ ...payload, type: eventName })
+    );
+  };
+
+  const getChildPayload = (payload: NavigationEventPayload) => ({
+    action: payload.action,
+    state: findRoute(payload.state, key),
+    lastState: findRoute(payload.lastState, key),
+  });
+
+  const moveTo = (target: NavigationEventName, childPayload: *) => {
+    if (isFocusEvent(target) !== isFocusEvent(lastEmittedEvent)) {
+      lastEmittedEvent = isFocusEvent(target) ? 'willFocus' : 'willBlur';
+      emit(lastEmittedEvent, childPayload);
+    }
+    if (
+      (target === 'didFocus' || target === 'didBlur') &&
+      target !== lastEmittedEvent
+    ) {
+      lastEmittedEvent = target;
+      emit(lastEmittedEvent, childPayload);
+    }
+  };
+
+  const getTarget = (payload: NavigationEventPayload): ?NavigationEventName => {
+    const { state, isTransitioning } = payload;
+    const isFocused =
+      !!state && !!state.routes && state.routes[state.index].key === key;
+    switch (payload.type) {
+      case 'willFocus':
+        return isFocused ? 'willFocus' : null;
+      case 'willBlur':
+        return 'willBlur';
+      case 'didBlur':
+        return 'didBlur';
+      default:
+        // `action` and `didFocus` both mean the parent is focused.
+        if (isFocused) {
+          return isTransitioning ? 'willFocus' : 'didFocus';
+        }
+        return isTransitioning ? 'willBlur' : 'didBlur';
+    }
+  };
+
+  const handleEvent = (payload: NavigationEventPayload) => {
+    if (payload.type === 'tabPress') {
+      if (lastEmittedEvent === 'didFocus') {
+        emit('tabPress', getChildPayload(payload));
+      }
+      return;
+    }
+    lastPayload = payload;
+    const wasFocused = lastEmittedEvent === 'didFocus';
+    const childPayload = getChildPayload(payload);
+    const target = getTarget(payload);
+    if (target) {
+      moveTo(target, childPayload);
+    }
+    if (
+      payload.type === 'action' &&
+      wasFocused &&
+      lastEmittedEvent === 'didFocus'
+    ) {
+      emit('action', childPayload);
+    }
+  };
+
+  const upstreamSubscriptions = EVENT_NAMES.map(
+    (eventName: NavigationEventName) => addListener(eventName, handleEvent)
+  );
+
+  return {
+    addListener(
+      eventName: NavigationEventName,
+      callback: NavigationEventCallback
+    ): NavigationEventSubscription {
+      callbacks[eventName].add(callback);
+      return {
+        remove: () => {
+          callbacks[eventName].delete(callback);
+        },
+      };
+    },
+
+    refresh() {
+      if (!lastPayload) {
+        return;
+      }
+      const payload = lastPayload;
+      const target = getTarget({ ...payload, isTransitioning: false });
+      if (target) {
+        moveTo(target, getChildPayload(payload));
+      }
+    },
+
+    remove() {
+      if (lastPayload) {
+        moveTo('didBlur', getChildPayload(lastPayload));
+      }
+      upstreamSubscriptions.forEach(
+        (subscription: NavigationEventSubscription) => subscription.remove()
+      );
+      EVENT_NAMES.forEach((eventName: NavigationEventName) =>
+        callbacks[eventName].clear()
+      );
+    },
+
+    emit,
+  };
+}
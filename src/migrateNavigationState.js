@@ -0,0 +1,30 @@
+/* @flow */
+
+import type { NavigationState } from './TypeDefinition';
+
+/**
+ * Transforms keyed by the version of the route configs they upgrade a state
+ * to, e.g. `{ '2': state => renameProfileRoutes(state) }`.
+ */
+export type NavigationStateMigrations = {
+  [version: string]: (state: NavigationState) => NavigationState,
+};
+
+/**
+ * Upgrades a state saved with an older version of the route configs by
+ * running, in order, every migration for a version above `fromVersion`.
+ */
+export default function migrateNavigationState(
+  state: NavigationState,
+  fromVersion: number,
+  migrations: NavigationStateMigrations
+): NavigationState {
+  let migratedState = state;
+  Object.keys(migrations)
+    .filter((version: string) => Number(version) > fromVersion)
+    .sort((a: string, b: string) => Number(a) - Number(b))
+    .forEach((version: string) => {
+      migratedState = migrations[version](migratedState);
+    });
+  return migratedState;
+}
@@ -5,8 +5,7 @@ import { Dimensions, Platform } from 'react-native';
 
 import createNavigator from './createNavigator';
 import createNavigationContainer from '../createNavigationContainer';
-import TabRouter from '../routers/TabRouter';
-import DrawerScreen from '../views/Drawer/DrawerScreen';
+import DrawerRouter from '../routers/DrawerRouter';
 import DrawerView from '../views/Drawer/DrawerView';
 import DrawerItems from '../views/Drawer/DrawerNavigatorItems';
 
@@ -32,6 +31,7 @@ const DefaultDrawerConfig = {
     (Platform.OS === 'android' ? 56 : 64),
   contentComponent: DrawerItems,
   drawerPosition: 'left',
+  drawerType: 'front',
 };
 
 const DrawerNavigator = (
@@ -45,29 +45,12 @@ const DrawerNavigator = (
     contentComponent,
     contentOptions,
     drawerPosition,
+    drawerType,
+    drawerBreakpoint,
     ...tabsConfig
   } = mergedConfig;
 
-  const contentRouter = TabRouter(routeConfigs, tabsConfig);
-
-  const drawerRouter = TabRouter(
-    {
-      DrawerClose: {
-        screen: createNavigator(
-          contentRouter,
-          routeConfigs,
-          config,
-          NavigatorTypes.DRAWER
-        )((props: *) => <DrawerScreen {...props} />),
-      },
-      DrawerOpen: {
-        screen: () => null,
-      },
-    },
-    {
-      initialRouteName: 'DrawerClose',
-    }
-  );
+  const drawerRouter = DrawerRouter(routeConfigs, tabsConfig);
 
   const navigator = createNavigator(
     drawerRouter,
@@ -81,6 +64,8 @@ const DrawerNavigator = (
       contentComponent={contentComponent}
       contentOptions={contentOptions}
       drawerPosition={drawerPosition}
+      drawerType={drawerType}
+      drawerBreakpoint={drawerBreakpoint}
       gesturesEnabled={config.gesturesEnabled}
     />
   ));
@@ -30,6 +30,7 @@ export default (
     mode,
     cardStyle,
     transitionConfig,
+    headerStyleInterpolator,
     onTransitionStart,
     onTransitionEnd,
     navigationOptions,
@@ -55,6 +56,7 @@ export default (
       mode={mode}
       cardStyle={cardStyle}
       transitionConfig={transitionConfig}
+      headerStyleInterpolator={headerStyleInterpolator}
       onTransitionStart={onTransitionStart}
       onTransitionEnd={onTransitionEnd}
     />
@@ -37,6 +37,9 @@ const TabNavigator = (
     swipeEnabled,
     animationEnabled,
     lazy,
+    unmountOnBlur,
+    preload,
+    lazyPlaceholderComponent,
     ...tabsConfig
   } = mergedConfig;
 
@@ -56,6 +59,9 @@ const TabNavigator = (
       swipeEnabled={swipeEnabled}
       animationEnabled={animationEnabled}
       lazy={lazy}
+      unmountOnBlur={unmountOnBlur}
+      preload={preload}
+      lazyPlaceholderComponent={lazyPlaceholderComponent}
     />
   ));
 
@@ -9,9 +9,18 @@ module.exports = {
   get createNavigationContainer() {
     return require('./createNavigationContainer').default;
   },
+  get createNavigationStatePersistence() {
+    return require('./createNavigationStatePersistence').default;
+  },
+  get migrateNavigationState() {
+    return require('./migrateNavigationState').default;
+  },
   get StateUtils() {
     return require('./StateUtils').default;
   },
+  get URLUtils() {
+    return require('./URLUtils').default;
+  },
   get addNavigationHelpers() {
     return require('./addNavigationHelpers').default;
   },
@@ -40,6 +49,9 @@ module.exports = {
   get TabRouter() {
     return require('./routers/TabRouter').default;
   },
+  get DrawerRouter() {
+    return require('./routers/DrawerRouter').default;
+  },
 
   // Views
   get Transitioner() {
@@ -65,6 +77,9 @@ module.exports = {
   get HeaderBackButton() {
     return require('./views/HeaderBackButton').default;
   },
+  get HeaderStyleInterpolator() {
+    return require('./views/HeaderStyleInterpolator').default;
+  },
 
   // DrawerView
   get DrawerView() {
@@ -73,6 +88,12 @@ module.exports = {
   get DrawerItems() {
     return require('./views/Drawer/DrawerNavigatorItems').default;
   },
+  get getDrawerType() {
+    return require('./views/Drawer/getDrawerType').default;
+  },
+  get getDrawerLayout() {
+    return require('./views/Drawer/getDrawerLayout').default;
+  },
 
   // TabView
   get TabView() {
@@ -89,4 +110,10 @@ module.exports = {
   get withNavigation() {
     return require('./views/withNavigation').default;
   },
+  get withHeaderHeight() {
+    return require('./views/withHeaderHeight').default;
+  },
+  get withHeaderScrollY() {
+    return require('./views/withHeaderScrollY').default;
+  },
 };
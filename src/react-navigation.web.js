@@ -9,9 +9,24 @@ module.exports = {
   get createNavigationContainer() {
     return require('./createNavigationContainer').default;
   },
+  get createNavigationStatePersistence() {
+    return require('./createNavigationStatePersistence').default;
+  },
+  get migrateNavigationState() {
+    return require('./migrateNavigationState').default;
+  },
+  get createBrowserAppContainer() {
+    return require('./createBrowserAppContainer').default;
+  },
+  get resolveServerNavigation() {
+    return require('./resolveServerNavigation').default;
+  },
   get StateUtils() {
     return require('./StateUtils').default;
   },
+  get URLUtils() {
+    return require('./URLUtils').default;
+  },
   get addNavigationHelpers() {
     return require('./addNavigationHelpers').default;
   },
@@ -31,6 +46,17 @@ module.exports = {
   get TabRouter() {
     return require('./routers/TabRouter').default;
   },
+  get DrawerRouter() {
+    return require('./routers/DrawerRouter').default;
+  },
+
+  // Views
+  get getDrawerType() {
+    return require('./views/Drawer/getDrawerType').default;
+  },
+  get getDrawerLayout() {
+    return require('./views/Drawer/getDrawerLayout').default;
+  },
 
   // HOCs
   get withNavigation() {
@@ -0,0 +1,133 @@
+/* @flow */
+
+import NavigationActions from './NavigationActions';
+import addNavigationHelpers from './addNavigationHelpers';
+import URLUtils from './URLUtils';
+import invariant from './utils/invariant';
+import getActiveScreenOptions from './routers/getActiveScreenOptions';
+import getStateForPathAndParams from './routers/getStateForPathAndParams';
+
+import type {
+  NavigationAction,
+  NavigationRouter,
+  NavigationScreenProp,
+  NavigationState,
+} from './TypeDefinition';
+
+export type ServerNavigationConfig = {
+  /**
+   * Dropped from the start of the request URL, like the `uriPrefix` of a
+   * navigation container.
+   */
+  uriPrefix?: string | RegExp,
+  /**
+   * The route to render, with the requested `path` as a param, when the URL
+   * does not match any route. The initial route is rendered otherwise.
+   */
+  notFoundRouteName?: string,
+  /**
+   * Answer with a redirect when the URL resolves to a route whose canonical
+   * path is different, e.g. `/` for an initial route living at `/home`.
+   */
+  redirectToCanonicalURI?: boolean,
+  screenProps?: {},
+};
+
+export type ServerNavigation = {
+  status: 200 | 301 | 404,
+  state: NavigationState,
+  /**
+   * The navigation prop to render the navigator with. Dispatching on the
+   * server is a no-op.
+   */
+  navigation: NavigationScreenProp<NavigationState, NavigationAction>,
+  /**
+   * The merged options of the focused screen, e.g. its `title`.
+   */
+  options: { [key: string]: mixed },
+  /**
+   * The canonical URI of the resolved state, if the router can build it.
+   */
+  uri: ?string,
+  /**
+   * Where to redirect to, when `status` is 301.
+   */
+  redirectURI: ?string,
+  /**
+   * The state as JSON that is safe to inline in a `<script>`, to be passed
+   * back as `initialNavigationState` to the browser container.
+   */
+  serializedState: string,
+};
+
+const trimSlashes = (path: string) => path.replace(/^\/+|\/+$/g, '');
+
+/**
+ * Resolves a request URL to everything needed to render a navigator on the
+ * server and hand its state over to the browser.
+ */
+export default function resolveServerNavigation(
+  router: NavigationRouter<*, *, *>,
+  url: string,
+  config: ServerNavigationConfig = {}
+): ServerNavigation {
+  const { path, params } = URLUtils.parse(url, config.uriPrefix);
+  const initialState = router.getStateForAction(NavigationActions.init());
+
+  let status = 200;
+  let state = getStateForPathAndParams(router, path, params);
+  if (!state) {
+    status = 404;
+    state = initialState;
+    if (config.notFoundRouteName) {
+      state =
+        router.getStateForAction(
+          NavigationActions.navigate({
+            routeName: config.notFoundRouteName,
+            params: { path: URLUtils.decodePath(path) },
+          }),
+          initialState
+        ) || initialState;
+    }
+  }
+
+  invariant(state, 'The router did not return an initial state.');
+  const resolvedState: NavigationState = state;
+
+  const uri = router.getURIForState(resolvedState);
+  let redirectURI = null;
+  if (
+    status === 200 &&
+    config.redirectToCanonicalURI &&
+    uri != null &&
+    trimSlashes(URLUtils.decodePath(uri.split('?')[0])) !==
+      trimSlashes(URLUtils.decodePath(path))
+  ) {
+    status = 301;
+    redirectURI = `/${uri}`;
+  }
+
+  const navigation = addNavigationHelpers({
+    state: resolvedState,
+    dispatch: () => false,
+    getURIForAction: (action?: NavigationAction): ?string => {
+      const actionURI = action
+        ? router.getURIForAction(action, resolvedState)
+        : router.getURIForState(resolvedState);
+      return actionURI == null ? actionURI : `/${actionURI}`;
+    },
+  });
+
+  return {
+    status,
+    state: resolvedState,
+    navigation,
+    options: getActiveScreenOptions(router, navigation, config.screenProps),
+    uri,
+    redirectURI,
+    serializedState: JSON.stringify(resolvedState)
+      .replace(/</g, '\\u003c')
+      .replace(/\u2028/g, '\\u2028')
+      .replace(/\u2029/g, '\\u2029'),
+  };
+}
@@ -0,0 +1,100 @@
+/* @flow */
+
+import NavigationActions from '../NavigationActions';
+import TabRouter from './TabRouter';
+
+import type {
+  NavigationAction,
+  NavigationRouteConfigMap,
+  NavigationRouter,
+  NavigationState,
+  NavigationTabRouterConfig,
+} from '../TypeDefinition';
+
+// The drawer used to be opened and closed by navigating to these routes
+const legacyDrawerRoutes = {
+  DrawerOpen: { type: NavigationActions.OPEN_DRAWER, creator: 'openDrawer' },
+  DrawerClose: { type: NavigationActions.CLOSE_DRAWER, creator: 'closeDrawer' },
+  DrawerToggle: {
+    type: NavigationActions.TOGGLE_DRAWER,
+    creator: 'toggleDrawer',
+  },
+};
+
+/**
+ * A tab router whose state also says whether the drawer is open, in
+ * `isDrawerOpen`. The drawer actions open, close and toggle it.
+ */
+export default (
+  routeConfigs: NavigationRouteConfigMap,
+  config: NavigationTabRouterConfig = {}
+): NavigationRouter<*, *, *> => {
+  const tabRouter = TabRouter(routeConfigs, config);
+
+  const setDrawerOpen = (
+    state: NavigationState,
+    isDrawerOpen: boolean
+  ): NavigationState =>
+    state.isDrawerOpen === isDrawerOpen ? state : { ...state, isDrawerOpen };
+
+  const mapLegacyDrawerRoute = (action: NavigationAction): NavigationAction => {
+    if (
+      action.type !== NavigationActions.NAVIGATE ||
+      !legacyDrawerRoutes[action.routeName] ||
+      routeConfigs[action.routeName]
+    ) {
+      return action;
+    }
+    const { type, creator } = legacyDrawerRoutes[action.routeName];
+    if (__DEV__) {
+      console.warn(
+        `Navigating to '${action.routeName}' is deprecated, the drawer is ` +
+          `not a route anymore. Dispatch NavigationActions.${creator}() ` +
+          'instead.'
+      );
+    }
+    return { type };
+  };
+
+  return {
+    ...tabRouter,
+
+    getStateForAction(
+      passedAction: NavigationAction,
+      lastState: ?NavigationState
+    ): ?NavigationState {
+      const action = mapLegacyDrawerRoute(passedAction);
+      if (!lastState) {
+        const state = tabRouter.getStateForAction(action, lastState);
+        return state && { ...state, isDrawerOpen: false };
+      }
+
+      // The back button closes the drawer before anything else
+      if (
+        action.type === NavigationActions.BACK &&
+        lastState.isDrawerOpen &&
+        (action.key == null ||
+          action.key === lastState.routes[lastState.index].key)
+      ) {
+        return setDrawerOpen(lastState, false);
+      }
+
+      // Drawers nested in the focused screen handle the drawer actions first
+      const state = tabRouter.getStateForAction(action, lastState);
+      if (state !== lastState) {
+        return state;
+      }
+
+      if (action.type === NavigationActions.OPEN_DRAWER) {
+        return setDrawerOpen(lastState, true);
+      }
+      if (action.type === NavigationActions.CLOSE_DRAWER) {
+        return setDrawerOpen(lastState, false);
+      }
+      if (action.type === NavigationActions.TOGGLE_DRAWER) {
+        return setDrawerOpen(lastState, !lastState.isDrawerOpen);
+      }
+      return lastState;
+    },
+  };
+};
@@ -12,7 +12,12 @@ import NavigationActions from '../NavigationActions';
 import createConfigGetter from './createConfigGetter';
 import getScreenForRouteName from './getScreenForRouteName';
 import StateUtils from '../StateUtils';
+import URLUtils from '../URLUtils';
 import validateRouteConfigMap from './validateRouteConfigMap';
+import getURIForChildRoute from './getURIForChildRoute';
+import validateNavigationState from './validateNavigationState';
+import applyRouteGuards from './applyRouteGuards';
+import resolveRedirect from './resolveRedirect';
 import getScreenConfigDeprecated from './getScreenConfigDeprecated';
 
 import type {
@@ -23,9 +28,12 @@ import type {
   NavigationRouteConfigMap,
   NavigationResetAction,
   NavigationParams,
+  NavigationPushAction,
+  NavigationReplaceAction,
+  NavigationRoute,
   NavigationState,
-  NavigationStackAction,
   NavigationStackRouterConfig,
+  NavigationStateError,
 } from '../TypeDefinition';
 
 const uniqueBaseId = `id-${Date.now()}`;
@@ -45,6 +53,12 @@ export default (
   const routeNames = Object.keys(routeConfigs);
 
   routeNames.forEach((routeName: string) => {
+    const routeConfig = routeConfigs[routeName];
+    if (!routeConfig.screen && !routeConfig.getScreen) {
+      // Routes that only redirect are never rendered, so they are not
+      // routes of the states either.
+      return;
+    }
     const screen = getScreenForRouteName(routeConfigs, routeName);
     if (screen && screen.router) {
       // If it has a router it's a navigator.
@@ -57,11 +71,58 @@ export default (
 
   const { initialRouteParams } = stackConfig;
 
-  const initialRouteName = stackConfig.initialRouteName || routeNames[0];
+  const initialRouteName =
+    stackConfig.initialRouteName ||
+    routeNames.find(
+      (routeName: string) =>
+        !!routeConfigs[routeName].screen || !!routeConfigs[routeName].getScreen
+    ) ||
+    routeNames[0];
 
   const initialChildRouter = childRouters[initialRouteName];
   const paths = stackConfig.paths || {};
 
+  // Creates the route for an action that adds `routeName` to the stack,
+  // with the initial state of its navigator if it has one.
+  const createRoute = (
+    action:
+      | NavigationNavigateAction
+      | NavigationPushAction
+      | NavigationReplaceAction
+  ): NavigationRoute => {
+    const childRouter = childRouters[action.routeName];
+    const route = {
+      params: action.params,
+      key: _getUuid(),
+      routeName: action.routeName,
+    };
+    if (childRouter) {
+      const childAction =
+        action.action || NavigationActions.init({ params: action.params });
+      return {
+        ...route,
+        ...childRouter.getStateForAction(childAction),
+        key: route.key,
+        routeName: route.routeName,
+      };
+    }
+    return route;
+  };
+
+  // The identity of the route for navigate-or-focus, either given by the
+  // action or derived from the params by the route config.
+  const getUniqueId = (
+    routeName: string,
+    params: ?NavigationParams,
+    uniqueId: ?string
+  ): ?string => {
+    if (uniqueId != null) {
+      return uniqueId;
+    }
+    const { getUniqueId: getUniqueIdForParams } = routeConfigs[routeName];
+    return getUniqueIdForParams ? getUniqueIdForParams(params) : null;
+  };
+
   routeNames.forEach((routeName: string) => {
     let pathPattern = paths[routeName] || routeConfigs[routeName].path;
     const matchExact = !!pathPattern && !childRouters[routeName];
@@ -91,7 +152,7 @@ export default (
     }
   });
 
-  return {
+  const router = {
     getComponentForState(state: NavigationState): NavigationComponent {
       const activeChildRoute = state.routes[state.index];
       const { routeName } = activeChildRoute;
@@ -105,8 +166,12 @@ export default (
       return getScreenForRouteName(routeConfigs, routeName);
     },
 
+    validateState(state: NavigationState): Array<NavigationStateError> {
+      return validateNavigationState(state, childRouters);
+    },
+
     getStateForAction(
-      passedAction: NavigationStackAction,
+      passedAction: NavigationAction,
       state: ?NavigationState
     ) {
       const action = NavigationActions.mapDeprecatedActionAndWarn(passedAction);
@@ -151,10 +216,10 @@ export default (
           ...(params ? { params } : {}),
         };
         // eslint-disable-next-line no-param-reassign
-        state = {
+        state = ({
           index: 0,
           routes: [route],
-        };
+        }: NavigationState);
       }
 
       // Check if a child scene wants to handle the action as long as it is not a reset to the root stack
@@ -205,6 +270,65 @@ export default (
         }
       }
 
+      // Focus the route with the same identity instead of adding another one
+      if (
+        action.type === NavigationActions.NAVIGATE &&
+        childRouters[action.routeName] !== undefined
+      ) {
+        const navigateAction: NavigationNavigateAction = action;
+        const uniqueId = getUniqueId(
+          navigateAction.routeName,
+          navigateAction.params,
+          navigateAction.uniqueId
+        );
+        if (uniqueId != null) {
+          const uniqueIndex = state.routes.findIndex(
+            (route: NavigationRoute) =>
+              route.routeName === navigateAction.routeName &&
+              getUniqueId(route.routeName, route.params, route.uniqueId) ===
+                uniqueId
+          );
+          if (uniqueIndex === -1) {
+            return StateUtils.push(state, {
+              ...createRoute(navigateAction),
+              uniqueId,
+            });
+          }
+          const childRouter = childRouters[navigateAction.routeName];
+          let uniqueRoute = state.routes[uniqueIndex];
+          if (childRouter && navigateAction.action) {
+            uniqueRoute =
+              childRouter.getStateForAction(
+                navigateAction.action,
+                uniqueRoute
+              ) || uniqueRoute;
+          }
+          const params = {
+            ...uniqueRoute.params,
+            ...navigateAction.params,
+          };
+          if (!shallowEqual(params, uniqueRoute.params || {})) {
+            uniqueRoute = {
+              ...uniqueRoute,
+              params,
+            };
+          }
+          if (
+            uniqueIndex === state.routes.length - 1 &&
+            uniqueRoute === state.routes[uniqueIndex]
+          ) {
+            return state;
+          }
+          const routes = state.routes.slice(0, uniqueIndex + 1);
+          routes[uniqueIndex] = uniqueRoute;
+          return {
+            ...state,
+            routes,
+            index: uniqueIndex,
+          };
+        }
+      }
+
       // Handle explicit push navigation action
       if (action.type === NavigationActions.NAVIGATE) {
         if (childRouters[action.routeName] !== undefined) {
@@ -322,6 +446,54 @@ export default (
         }
       }
 
+      if (
+        action.type === NavigationActions.PUSH &&
+        childRouters[action.routeName] !== undefined
+      ) {
+        return StateUtils.push(state, createRoute(action));
+      }
+
+      if (
+        action.type === NavigationActions.REPLACE &&
+        childRouters[action.routeName] !== undefined
+      ) {
+        const replaceIndex = action.key
+          ? StateUtils.indexOf(state, action.key)
+          : state.index;
+        if (replaceIndex >= 0) {
+          const routes = [...state.routes];
+          routes[replaceIndex] = createRoute(action);
+          return {
+            ...state,
+            routes,
+          };
+        }
+      }
+
+      if (action.type === NavigationActions.POP_N) {
+        const n = Math.min(action.n, state.routes.length - 1);
+        if (n > 0) {
+          const routes = state.routes.slice(0, -n);
+          return {
+            ...state,
+            routes,
+            index: routes.length - 1,
+          };
+        }
+      }
+
+      if (
+        action.type === NavigationActions.POP_TO_TOP &&
+        (!action.key || action.key === state.key) &&
+        state.routes.length > 1
+      ) {
+        return {
+          ...state,
+          routes: [state.routes[0]],
+          index: 0,
+        };
+      }
+
       if (action.type === NavigationActions.RESET) {
         const resetAction: NavigationResetAction = action;
 
@@ -406,7 +578,47 @@ export default (
       };
     },
 
-    getActionForPathAndParams(pathToResolve: string): ?NavigationAction {
+    getURIForState(state: NavigationState): ?string {
+      const route = state.routes[state.index];
+      const routeName = route.routeName;
+      /* $FlowFixMe */
+      const { toPath, keys } = paths[routeName];
+      const pathParamNames = keys.map(
+        (key: *) => (typeof key === 'string' ? key : key.name)
+      );
+      const queryParams = {};
+      Object.keys(route.params || {}).forEach((name: string) => {
+        if (route.params && pathParamNames.indexOf(name) === -1) {
+          queryParams[name] = route.params[name];
+        }
+      });
+      let subPath;
+      try {
+        subPath = toPath(route.params);
+      } catch (e) {
+        // The params lack a segment of the path of the route
+        return null;
+      }
+      return getURIForChildRoute(
+        subPath,
+        queryParams,
+        route,
+        childRouters[routeName]
+      );
+    },
+
+    getURIForAction(
+      action: NavigationAction,
+      lastState: ?NavigationState
+    ): ?string {
+      const state = this.getStateForAction(action, lastState) || lastState;
+      return state ? this.getURIForState(state) : null;
+    },
+
+    getActionForPathAndParams(
+      pathToResolve: string,
+      inputParams?: NavigationParams
+    ): ?NavigationAction {
       // If the path is empty (null or empty string)
       // just return the initial route action
       if (!pathToResolve) {
@@ -416,6 +628,9 @@ export default (
       }
 
       const [pathNameToResolve, queryString] = pathToResolve.split('?');
+      // The exact patterns are matched against an absolute path and the
+      // others against a relative one, whichever of the two was given.
+      const relativePath = pathNameToResolve.replace(/^\/+/, '');
 
       // Attempt to match `pathNameToResolve` with a route in this router's
       // routeConfigs
@@ -430,7 +645,7 @@ export default (
         /* $FlowFixMe */
         const { re, keys, pattern, matchExact } = path;
         if (!matchExact) {
-          pathMatch = re.exec(pathNameToResolve);
+          pathMatch = re.exec(relativePath);
           if (pathMatch && pathMatch.length) {
             pathMatchKeys = keys;
             matchedRouteName = routeName;
@@ -438,7 +653,8 @@ export default (
             break;
           }
         } else {
-          pathMatch = matchPattern(pattern, pathToResolve);
+          // The values of the params are decoded by `matchPattern`
+          pathMatch = matchPattern(pattern, `/${relativePath}`);
           if (
             pathMatch &&
             (!pathMatchValues ||
@@ -470,23 +686,18 @@ export default (
           /* $FlowFixMe */
           // pathMatch.slice(pathMatchKeys.length).join('/'),
           // TODO: example and argument and pr -TMB
-          pathToResolve
+          pathToResolve,
+          inputParams
         );
       }
 
-      // reduce the items of the query string. any query params may
-      // be overridden by path params
-      const queryParams = (queryString || '')
-        .split('&')
-        .reduce((result: *, item: string) => {
-          if (item !== '') {
-            const nextResult = result || {};
-            const [key, value] = item.split('=');
-            nextResult[key] = value;
-            return nextResult;
-          }
-          return result;
-        }, null);
+      // merge the params parsed by the caller with the items of the query
+      // string. any of these may be overridden by path params
+      const queryParams = {
+        ...(inputParams || {}),
+        ...URLUtils.parseQuery(queryString),
+      };
+      const hasQueryParams = Object.keys(queryParams).length > 0;
 
       // reduce the matched pieces of the path into the params
       // of the route. `params` is null if there are no params.
@@ -502,9 +713,11 @@ export default (
             }
             const nextResult = result || {};
             const paramName = key.name;
-            nextResult[paramName] = matchResult;
+            nextResult[paramName] = matchResult === undefined
+              ? matchResult
+              : URLUtils.decode(matchResult);
             return nextResult;
-          }, queryParams);
+          }, hasQueryParams ? queryParams : null);
       } else {
         params = { ...queryParams };
         Object.keys(pathMatchValues).map((i) => {
@@ -529,4 +742,33 @@ export default (
 
     getScreenConfig: getScreenConfigDeprecated,
   };
+
+  // Redirects and the hooks of the route configs are applied once per
+  // action, around the whole router rather than on each of its recursive
+  // calls.
+  return {
+    ...router,
+
+    getStateForAction(action: *, state: ?NavigationState): ?NavigationState {
+      const redirectedAction = resolveRedirect(routeConfigs, action, state);
+      // The router keeps its state when a redirect can't be followed
+      if (!redirectedAction) {
+        return state;
+      }
+      return applyRouteGuards(
+        routeConfigs,
+        redirectedAction,
+        state,
+        router.getStateForAction(redirectedAction, state)
+      );
+    },
+
+    getActionForPathAndParams(
+      path: string,
+      params?: NavigationParams
+    ): ?NavigationAction {
+      const action = router.getActionForPathAndParams(path, params);
+      return action && resolveRedirect(routeConfigs, action);
+    },
+  };
 };
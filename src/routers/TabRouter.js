@@ -6,6 +6,10 @@ import createConfigGetter from './createConfigGetter';
 
 import NavigationActions from '../NavigationActions';
 import validateRouteConfigMap from './validateRouteConfigMap';
+import getURIForChildRoute from './getURIForChildRoute';
+import validateNavigationState from './validateNavigationState';
+import applyRouteGuards from './applyRouteGuards';
+import resolveRedirect from './resolveRedirect';
 import getScreenConfigDeprecated from './getScreenConfigDeprecated';
 import StateUtils from '../StateUtils';
 
@@ -21,6 +25,7 @@ import type {
   NavigationNavigateAction,
   NavigationTabRouterConfig,
   NavigationTabScreenOptions,
+  NavigationStateError,
 } from '../TypeDefinition';
 
 export default (
@@ -30,7 +35,13 @@ export default (
   // Fail fast on invalid route definitions
   validateRouteConfigMap(routeConfigs);
 
-  const order = config.order || Object.keys(routeConfigs);
+  // Routes that only redirect do not get a tab.
+  const order =
+    config.order ||
+    Object.keys(routeConfigs).filter(
+      (routeName: string) =>
+        !!routeConfigs[routeName].screen || !!routeConfigs[routeName].getScreen
+    );
   const paths = config.paths || {};
   const initialRouteName = config.initialRouteName || order[0];
   const initialRouteIndex = order.indexOf(initialRouteName);
@@ -52,7 +63,92 @@ export default (
     `Invalid initialRouteName '${initialRouteName}' for TabRouter. ` +
       `Should be one of ${order.map((n: *) => `"${n}"`).join(', ')}`
   );
-  return {
+
+  const createTabRoute = (
+    routeName: string,
+    params: ?NavigationParams
+  ): NavigationRoute => {
+    const tabRouter = tabRouters[routeName];
+    if (tabRouter) {
+      const childAction =
+        // NOTE: initialize new state here, do not pass along action
+        // the tab will respond to the action below!!!!!!!
+        // action.action ||
+        NavigationActions.init({
+          ...(params ? { params } : {}),
+        });
+      return {
+        ...tabRouter.getStateForAction(childAction),
+        key: routeName,
+        routeName,
+      };
+    }
+    return {
+      key: routeName,
+      routeName,
+    };
+  };
+
+  /**
+   * Shows the tabs of `tabOrder`, in that order, and hides the others. Tabs
+   * keep their state while they are hidden.
+   */
+  const setTabOrder = (
+    state: NavigationState,
+    tabOrder: Array<string>
+  ): NavigationState => {
+    invariant(
+      tabOrder.length > 0 &&
+        tabOrder.every(
+          (routeName: string, i: number) => tabOrder.indexOf(routeName) === i
+        ),
+      `The tab order should list at least one tab, each tab at most once: ${tabOrder.join(', ')}`
+    );
+    const tabRoutes = [...state.routes, ...(state.hiddenRoutes || [])];
+    const findTabRoute = (routeName: string): ?NavigationRoute =>
+      tabRoutes.find((route: NavigationRoute) => route.routeName === routeName);
+    const routes = tabOrder.map(
+      (routeName: string) =>
+        findTabRoute(routeName) || createTabRoute(routeName)
+    );
+    const hiddenRoutes = tabRoutes.filter(
+      (route: NavigationRoute) => tabOrder.indexOf(route.routeName) === -1
+    );
+    // Keep the focus on the same tab, unless it gets hidden
+    const focusedRouteName = state.routes[state.index].routeName;
+    let index = tabOrder.indexOf(focusedRouteName);
+    if (index === -1) {
+      index = Math.max(tabOrder.indexOf(initialRouteName), 0);
+    }
+    const { hiddenRoutes: lastHiddenRoutes, ...rest } = state;
+    return {
+      ...rest,
+      routes,
+      index,
+      tabOrder,
+      ...(hiddenRoutes.length ? { hiddenRoutes } : {}),
+    };
+  };
+
+  /**
+   * Moves the focused tab to the end of the history of the tabs.
+   */
+  const recordTabHistory = (state: NavigationState): NavigationState => {
+    const { key } = state.routes[state.index];
+    const routeKeyHistory = state.routeKeyHistory || [];
+    if (routeKeyHistory[routeKeyHistory.length - 1] === key) {
+      return state;
+    }
+    return {
+      ...state,
+      routeKeyHistory: [
+        ...routeKeyHistory.filter((historyKey: string) => historyKey !== key),
+        key,
+      ],
+    };
+  };
+
+  const router = {
     getStateForAction(
       action: NavigationAction | { action: NavigationAction },
       inputState?: ?NavigationState
@@ -63,27 +159,10 @@ export default (
       // Establish a default state
       let state = inputState;
       if (!state) {
-        const routes = order.map((routeName: string) => {
-          const tabRouter = tabRouters[routeName];
-          if (tabRouter) {
-            const childAction =
-              // NOTE: initialize new state here, do not pass along action
-              // the tab will respond to the action below!!!!!!!
-              // action.action ||
-              NavigationActions.init({
-                ...(action.params ? { params: action.params } : {}),
-              });
-            return {
-              ...tabRouter.getStateForAction(childAction),
-              key: routeName,
-              routeName,
-            };
-          }
-          return {
-            key: routeName,
-            routeName,
-          };
-        });
+        const params = action.params ? action.params : null;
+        const routes = order.map((routeName: string) =>
+          createTabRoute(routeName, params)
+        );
         state = {
           routes,
           index: initialRouteIndex,
@@ -139,7 +218,7 @@ export default (
 
       // Let the current tab handle it
       const activeTabLastState = state.routes[state.index];
-      const activeTabRouter = tabRouters[order[state.index]];
+      const activeTabRouter = tabRouters[activeTabLastState.routeName];
       if (activeTabRouter) {
         const activeTabState = activeTabRouter.getStateForAction(
           action.action || action,
@@ -158,28 +237,71 @@ export default (
         }
       }
 
+      // Tab navigators nested in the current tab reorder their tabs first
+      if (action.type === NavigationActions.SET_TAB_ORDER) {
+        const { key, order: tabOrder } = action;
+        if (
+          (key == null || key === state.key) &&
+          tabOrder.every(
+            (routeName: string) => order.indexOf(routeName) !== -1
+          )
+        ) {
+          return setTabOrder(state, tabOrder);
+        }
+        return state;
+      }
+
       // Handle tab changing. Do this after letting the current tab try to
       // handle the action, to allow inner tabs to change first
       let activeTabIndex = state.index;
       const isBackEligible =
         action.key == null || action.key === activeTabLastState.key;
       if (
+        action.type === NavigationActions.BACK &&
+        isBackEligible &&
+        backBehavior === 'history'
+      ) {
+        // Go back to the tab focused before, skipping the hidden ones
+        const routeKeys = state.routes.map(
+          (route: NavigationRoute) => route.key
+        );
+        const routeKeyHistory = (state.routeKeyHistory || [])
+          .filter(
+            (key: string) =>
+              key !== activeTabLastState.key && routeKeys.indexOf(key) !== -1
+          );
+        if (routeKeyHistory.length) {
+          return {
+            ...state,
+            index: routeKeys.indexOf(
+              routeKeyHistory[routeKeyHistory.length - 1]
+            ),
+            routeKeyHistory,
+          };
+        }
+      } else if (
         action.type === NavigationActions.BACK &&
         isBackEligible &&
         shouldBackNavigateToInitialRoute
       ) {
-        activeTabIndex = initialRouteIndex;
+        // The initial tab may be hidden
+        const initialIndex = StateUtils.indexOfByName(state, initialRouteName);
+        if (initialIndex !== -1) {
+          activeTabIndex = initialIndex;
+        }
       }
       let didNavigate = false;
       if (action.type === NavigationActions.NAVIGATE) {
         const navigateAction = ((action: *): NavigationNavigateAction);
-        didNavigate = !!order.find((tabId: string, i: number) => {
-          if (tabId === navigateAction.routeName) {
-            activeTabIndex = i;
-            return true;
+        didNavigate = !!state.routes.find(
+          (route: NavigationRoute, i: number) => {
+            if (route.routeName === navigateAction.routeName) {
+              activeTabIndex = i;
+              return true;
+            }
+            return false;
           }
-          return false;
-        });
+        );
         if (didNavigate) {
           const childState = state.routes[activeTabIndex];
           let newChildState;
@@ -247,8 +369,8 @@ export default (
       let index = state.index;
       /* $FlowFixMe */
       let routes: Array<NavigationState> = state.routes;
-      order.find((tabId: string, i: number) => {
-        const tabRouter = tabRouters[tabId];
+      routes.find((route: NavigationRoute, i: number) => {
+        const tabRouter = tabRouters[route.routeName];
         if (i === index) {
           return false;
         }
@@ -284,26 +406,51 @@ export default (
     getComponentForState(
       state: NavigationState
     ): NavigationScreenComponent<*, NavigationTabScreenOptions> {
-      const routeName = order[state.index];
+      const route = state.routes[state.index];
       invariant(
-        routeName,
+        route,
         `There is no route defined for index ${state.index}. Check that
         that you passed in a navigation state with a valid tab/screen index.`
       );
-      const childRouter = tabRouters[routeName];
+      const childRouter = tabRouters[route.routeName];
       if (childRouter) {
-        return childRouter.getComponentForState(state.routes[state.index]);
+        return childRouter.getComponentForState(route);
       }
-      return getScreenForRouteName(routeConfigs, routeName);
+      return getScreenForRouteName(routeConfigs, route.routeName);
     },
 
     getComponentForRouteName(routeName: string): NavigationComponent {
       return getScreenForRouteName(routeConfigs, routeName);
     },
 
+    validateState(state: NavigationState): Array<NavigationStateError> {
+      const errors = validateNavigationState(state, tabRouters);
+      if (Array.isArray(state.routes)) {
+        // The order set with the set tab order action replaces the config
+        const tabOrder = state.tabOrder || order;
+        const getRouteNames = (routes: Array<NavigationRoute>) =>
+          routes.map((route: NavigationRoute) => route.routeName);
+        const hiddenTabs = order.filter(
+          (routeName: string) => tabOrder.indexOf(routeName) === -1
+        );
+        if (
+          getRouteNames(state.routes).join() !== tabOrder.join() ||
+          getRouteNames(state.hiddenRoutes || []).sort().join() !==
+            hiddenTabs.sort().join()
+        ) {
+          errors.push({
+            type: 'TAB_ORDER_MISMATCH',
+            path: [],
+            message: `The routes should be the tabs ${tabOrder.join(', ')}, in this order, and the hidden routes the other tabs.`,
+          });
+        }
+      }
+      return errors;
+    },
+
     getPathAndParamsForState(state: NavigationState) {
       const route = state.routes[state.index];
-      const routeName = order[state.index];
+      const { routeName } = route;
       const subPath = paths[routeName];
       const screen = getScreenForRouteName(routeConfigs, routeName);
       let path = subPath;
@@ -321,6 +468,25 @@ export default (
       };
     },
 
+    getURIForState(state: NavigationState): ?string {
+      const route = state.routes[state.index];
+      const { routeName } = route;
+      return getURIForChildRoute(
+        paths[routeName],
+        route.params,
+        route,
+        tabRouters[routeName]
+      );
+    },
+
+    getURIForAction(
+      action: NavigationAction,
+      lastState: ?NavigationState
+    ): ?string {
+      const state = this.getStateForAction(action, lastState) || lastState;
+      return state ? this.getURIForState(state) : null;
+    },
+
     /**
      * Gets an optional action, based on a relative path and query params.
      *
@@ -370,4 +536,38 @@ export default (
 
     getScreenConfig: getScreenConfigDeprecated,
   };
+
+  // Redirects, the hooks of the route configs and the tab history are
+  // applied once per action, around the whole router rather than on each of
+  // its recursive calls.
+  return {
+    ...router,
+
+    getStateForAction(action: *, state: ?NavigationState): ?NavigationState {
+      const redirectedAction = resolveRedirect(routeConfigs, action, state);
+      // The router keeps its state when a redirect can't be followed
+      if (!redirectedAction) {
+        return state;
+      }
+      const nextState = applyRouteGuards(
+        routeConfigs,
+        redirectedAction,
+        state,
+        router.getStateForAction(redirectedAction, state)
+      );
+      // The history is kept in the state, so that it is persisted with it
+      if (backBehavior === 'history' && nextState && nextState !== state) {
+        return recordTabHistory(nextState);
+      }
+      return nextState;
+    },
+
+    getActionForPathAndParams(
+      path: string,
+      params?: NavigationParams
+    ): ?NavigationAction {
+      const action = router.getActionForPathAndParams(path, params);
+      return action && resolveRedirect(routeConfigs, action);
+    },
+  };
 };
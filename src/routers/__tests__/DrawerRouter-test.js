@@ -0,0 +1,176 @@
+/* @flow */
+/* eslint react/display-name:0 */
+
+import React from 'react';
+import DrawerRouter from '../DrawerRouter';
+import StackRouter from '../StackRouter';
+
+import NavigationActions from '../../NavigationActions';
+
+const INIT_ACTION = { type: NavigationActions.INIT };
+
+const BareLeafRouteConfig = {
+  screen: () => <div />,
+};
+
+describe('DrawerRouter', () => {
+  test('Opens, closes and toggles the drawer', () => {
+    const router = DrawerRouter({
+      Foo: BareLeafRouteConfig,
+      Bar: BareLeafRouteConfig,
+    });
+    const state = router.getStateForAction(INIT_ACTION);
+    expect(state).toEqual({
+      index: 0,
+      routes: [
+        { key: 'Foo', routeName: 'Foo' },
+        { key: 'Bar', routeName: 'Bar' },
+      ],
+      isDrawerOpen: false,
+    });
+
+    const openState = router.getStateForAction(
+      NavigationActions.openDrawer(),
+      state
+    );
+    expect(openState && openState.isDrawerOpen).toBe(true);
+    expect(openState && openState.routes).toBe(state && state.routes);
+    expect(
+      router.getStateForAction(NavigationActions.openDrawer(), openState)
+    ).toBe(openState);
+
+    const closedState = router.getStateForAction(
+      NavigationActions.closeDrawer(),
+      openState
+    );
+    expect(closedState && closedState.isDrawerOpen).toBe(false);
+
+    const toggledState = router.getStateForAction(
+      NavigationActions.toggleDrawer(),
+      closedState
+    );
+    expect(toggledState && toggledState.isDrawerOpen).toBe(true);
+    const toggledBackState = router.getStateForAction(
+      NavigationActions.toggleDrawer(),
+      toggledState
+    );
+    expect(toggledBackState && toggledBackState.isDrawerOpen).toBe(false);
+  });
+
+  test('Keeps the drawer state when navigating', () => {
+    const router = DrawerRouter({
+      Foo: BareLeafRouteConfig,
+      Bar: BareLeafRouteConfig,
+    });
+    const openState = router.getStateForAction(
+      NavigationActions.openDrawer(),
+      router.getStateForAction(INIT_ACTION)
+    );
+    const barState = router.getStateForAction(
+      NavigationActions.navigate({ routeName: 'Bar' }),
+      openState
+    );
+    expect(barState && barState.index).toEqual(1);
+    expect(barState && barState.isDrawerOpen).toBe(true);
+    expect(barState && router.getPathAndParamsForState(barState)).toEqual({
+      path: 'Bar',
+      params: undefined,
+    });
+  });
+
+  test('Closes the drawer on back before going back in the screens', () => {
+    const ChildNavigator = () => <div />;
+    ChildNavigator.router = StackRouter({
+      Baz: BareLeafRouteConfig,
+      Qux: BareLeafRouteConfig,
+    });
+    const router = DrawerRouter({
+      Foo: { screen: ChildNavigator },
+      Bar: BareLeafRouteConfig,
+    });
+    const quxState = router.getStateForAction(
+      NavigationActions.navigate({ routeName: 'Qux' }),
+      router.getStateForAction(INIT_ACTION)
+    );
+    const openState = router.getStateForAction(
+      NavigationActions.openDrawer(),
+      quxState
+    );
+
+    const backState = router.getStateForAction(
+      NavigationActions.back(),
+      openState
+    );
+    expect(backState && backState.isDrawerOpen).toBe(false);
+    expect(backState && backState.routes).toBe(openState && openState.routes);
+
+    const poppedState = router.getStateForAction(
+      NavigationActions.back(),
+      backState
+    );
+    /* $FlowFixMe */
+    expect(poppedState && poppedState.routes[0].index).toEqual(0);
+  });
+
+  test('Lets nested drawers handle the drawer actions first', () => {
+    const ChildNavigator = () => <div />;
+    ChildNavigator.router = DrawerRouter({
+      Baz: BareLeafRouteConfig,
+    });
+    const router = DrawerRouter({
+      Foo: { screen: ChildNavigator },
+    });
+    const state = router.getStateForAction(
+      NavigationActions.openDrawer(),
+      router.getStateForAction(INIT_ACTION)
+    );
+    expect(state && state.isDrawerOpen).toBe(false);
+    /* $FlowFixMe */
+    expect(state && state.routes[0].isDrawerOpen).toBe(true);
+  });
+
+  test('Maps the legacy drawer routes to the drawer actions', () => {
+    const consoleWarn = console.warn;
+    // $FlowFixMe
+    console.warn = jest.fn();
+    const router = DrawerRouter({
+      Foo: BareLeafRouteConfig,
+    });
+    const state = router.getStateForAction(INIT_ACTION);
+    const openState = router.getStateForAction(
+      NavigationActions.navigate({ routeName: 'DrawerOpen' }),
+      state
+    );
+    expect(openState && openState.isDrawerOpen).toBe(true);
+    expect(openState && openState.routes).toBe(state && state.routes);
+    const closedState = router.getStateForAction(
+      NavigationActions.navigate({ routeName: 'DrawerClose' }),
+      openState
+    );
+    expect(closedState && closedState.isDrawerOpen).toBe(false);
+    const toggledState = router.getStateForAction(
+      NavigationActions.navigate({ routeName: 'DrawerToggle' }),
+      closedState
+    );
+    expect(toggledState && toggledState.isDrawerOpen).toBe(true);
+    expect(console.warn).toHaveBeenCalledTimes(3);
+    expect(console.warn.mock.calls[0][0]).toContain(
+      'NavigationActions.openDrawer()'
+    );
+    // $FlowFixMe
+    console.warn = consoleWarn;
+  });
+
+  test('Navigates to routes named like the legacy drawer routes', () => {
+    const router = DrawerRouter({
+      Foo: BareLeafRouteConfig,
+      DrawerOpen: BareLeafRouteConfig,
+    });
+    const state = router.getStateForAction(
+      NavigationActions.navigate({ routeName: 'DrawerOpen' }),
+      router.getStateForAction(INIT_ACTION)
+    );
+    expect(state && state.index).toEqual(1);
+    expect(state && state.isDrawerOpen).toBe(false);
+  });
+});
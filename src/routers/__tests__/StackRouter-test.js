@@ -238,6 +238,26 @@ describe('StackRouter', () => {
     });
   });
 
+  test('Decodes the params once they are matched', () => {
+    expect(
+      TestStackRouter.getActionForPathAndParams('people/a%2Fb%3Fc%20d?e=f')
+    ).toEqual({
+      type: NavigationActions.NAVIGATE,
+      routeName: 'person',
+      params: {
+        id: 'a/b?c d',
+        e: 'f',
+      },
+    });
+    expect(TestStackRouter.getActionForPathAndParams('fo/a%2Fb/b/c')).toEqual({
+      type: NavigationActions.NAVIGATE,
+      routeName: 'foo',
+      params: {
+        fooThing: 'a/b',
+      },
+    });
+  });
+
   test('Correctly parses a path without arguments into an action chain', () => {
     const uri = 'auth/login';
     const action = TestStackRouter.getActionForPathAndParams(uri);
@@ -898,4 +918,338 @@ describe('StackRouter', () => {
     expect(state2 && state2.routes[0].routeName).toEqual('Foo');
     expect(state2 && state2.routes[1].routeName).toEqual('Bar');
   });
+
+  test('Builds URIs for states and actions', () => {
+    const state = {
+      index: 0,
+      routes: [
+        {
+          key: 'foo',
+          routeName: 'foo',
+          params: { fooThing: '22' },
+          index: 0,
+          routes: [
+            {
+              key: 'bar',
+              routeName: 'bar',
+              params: { barThing: 'hello world', tab: ['a', 'b'] },
+            },
+          ],
+        },
+      ],
+    };
+    expect(TestStackRouter.getURIForState(state)).toEqual(
+      'fo/22/b/hello%20world?tab=a&tab=b'
+    );
+    expect(
+      TestStackRouter.getURIForAction(
+        NavigationActions.navigate({
+          routeName: 'person',
+          params: { id: 'foo', draft: 'hi' },
+        }),
+        state
+      )
+    ).toEqual('people/foo?draft=hi');
+  });
+
+  test('Builds no URI when a path param is missing', () => {
+    const state = TestStackRouter.getStateForAction(
+      NavigationActions.navigate({ routeName: 'person', params: {} })
+    );
+    expect(state && TestStackRouter.getURIForState(state)).toBe(null);
+  });
+
+  test('Respects canEnter and canLeave of route configs', () => {
+    let hasUnsavedChanges = true;
+    let isLoggedIn = false;
+    const router = StackRouter({
+      Foo: { screen: () => <div /> },
+      Bar: {
+        screen: () => <div />,
+        canLeave: () => !hasUnsavedChanges,
+      },
+      Baz: {
+        screen: () => <div />,
+        canEnter: () => isLoggedIn,
+      },
+    });
+    const state = router.getStateForAction(
+      NavigationActions.navigate({ routeName: 'Bar' }),
+      router.getStateForAction(NavigationActions.init())
+    );
+    expect(state && state.index).toEqual(1);
+
+    const backAction = NavigationActions.back();
+    expect(router.getStateForAction(backAction, state)).toEqual(null);
+    const skippedState = router.getStateForAction(
+      { ...backAction, skipRouteGuards: true },
+      state
+    );
+    expect(skippedState && skippedState.index).toEqual(0);
+
+    hasUnsavedChanges = false;
+    const backState = router.getStateForAction(backAction, state);
+    expect(backState && backState.index).toEqual(0);
+
+    expect(
+      router.getStateForAction(
+        NavigationActions.navigate({ routeName: 'Baz' }),
+        backState
+      )
+    ).toEqual(null);
+    isLoggedIn = true;
+    const bazState = router.getStateForAction(
+      NavigationActions.navigate({ routeName: 'Baz' }),
+      backState
+    );
+    expect(bazState && bazState.routes[1].routeName).toEqual('Baz');
+  });
+
+  test('Follows the redirect of route configs', () => {
+    let isLoggedIn = false;
+    const router = StackRouter({
+      Home: { screen: () => <div /> },
+      Profile: { screen: () => <div />, path: 'profile/:id' },
+      Login: { screen: () => <div /> },
+      Account: {
+        redirect: (params: *) =>
+          isLoggedIn ? { routeName: 'Profile', params } : 'Login',
+      },
+      OldProfile: { path: 'old-profile/:id', redirect: 'Profile' },
+    });
+    const initState = router.getStateForAction(NavigationActions.init());
+    expect(initState && initState.routes[0].routeName).toEqual('Home');
+
+    const loginState = router.getStateForAction(
+      NavigationActions.navigate({ routeName: 'Account', params: { id: '1' } }),
+      initState
+    );
+    expect(loginState && loginState.routes[1].routeName).toEqual('Login');
+    isLoggedIn = true;
+    const profileState = router.getStateForAction(
+      NavigationActions.navigate({ routeName: 'Account', params: { id: '1' } }),
+      initState
+    );
+    expect(profileState && profileState.routes[1].routeName).toEqual('Profile');
+    expect(profileState && profileState.routes[1].params).toEqual({ id: '1' });
+
+    expect(router.getActionForPathAndParams('/old-profile/42')).toEqual({
+      type: NavigationActions.NAVIGATE,
+      routeName: 'Profile',
+      params: { id: '42' },
+    });
+  });
+
+  test('Ignores redirects that loop with a warning', () => {
+    const consoleWarn = console.warn;
+    // $FlowFixMe
+    console.warn = jest.fn();
+    const router = StackRouter({
+      Home: { screen: () => <div /> },
+      Foo: { redirect: 'Bar' },
+      Bar: { redirect: 'Foo' },
+    });
+    const initState = router.getStateForAction(NavigationActions.init());
+    expect(
+      router.getStateForAction(
+        NavigationActions.navigate({ routeName: 'Foo' }),
+        initState
+      )
+    ).toBe(initState);
+    expect(console.warn).toBeCalledWith(
+      "Route 'Foo' redirects in a loop: Foo -> Bar -> Foo. " +
+        'The action is ignored.'
+    );
+    // $FlowFixMe
+    console.warn = consoleWarn;
+  });
+
+  test('Follows redirects to the routes of nested navigators', () => {
+    const ChildNavigator = () => <div />;
+    ChildNavigator.router = StackRouter({
+      Feed: { screen: () => <div /> },
+      Profile: { screen: () => <div /> },
+    });
+    const router = StackRouter({
+      Home: { screen: () => <div /> },
+      Child: { screen: ChildNavigator },
+      Me: { redirect: 'Profile' },
+    });
+    const state = router.getStateForAction(
+      NavigationActions.navigate({ routeName: 'Me' }),
+      router.getStateForAction(NavigationActions.init())
+    );
+    expect(state && state.routes[1].routeName).toEqual('Child');
+    /* $FlowFixMe */
+    expect(state && state.routes[1].routes[0].routeName).toEqual('Feed');
+    /* $FlowFixMe */
+    expect(state && state.routes[1].routes[1].routeName).toEqual('Profile');
+  });
+
+  test('Refuses redirects to the routes of parent navigators', () => {
+    const createChildRouter = (redirect: *) =>
+      StackRouter({
+        Feed: { screen: () => <div /> },
+        Account: { redirect },
+      });
+    expect(() => createChildRouter('Login')).toThrow(
+      "Route 'Account' redirects to 'Login', which is neither a route of " +
+        'its navigator nor of a navigator nested in it.'
+    );
+
+    const consoleWarn = console.warn;
+    // $FlowFixMe
+    console.warn = jest.fn();
+    const ChildNavigator = () => <div />;
+    ChildNavigator.router = createChildRouter(() => 'Login');
+    const router = StackRouter({
+      Child: { screen: ChildNavigator },
+      Login: { screen: () => <div /> },
+    });
+    const initState = router.getStateForAction(NavigationActions.init());
+    // Redirect functions are only followed once the action is dispatched
+    expect(
+      router.getStateForAction(
+        NavigationActions.navigate({ routeName: 'Account' }),
+        initState
+      )
+    ).toBe(initState);
+    expect(console.warn.mock.calls[0][0]).toMatch(
+      /^Route 'Account' redirects to 'Login'/
+    );
+    // $FlowFixMe
+    console.warn = consoleWarn;
+  });
+
+  test('Handles the push, replace, popN and popToTop actions', () => {
+    const router = StackRouter({
+      Foo: { screen: () => <div /> },
+      Bar: { screen: () => <div /> },
+    });
+    const initState = router.getStateForAction(NavigationActions.init());
+    const pushedState = router.getStateForAction(
+      NavigationActions.push({ routeName: 'Bar', params: { id: '1' } }),
+      router.getStateForAction(
+        NavigationActions.push({ routeName: 'Bar' }),
+        router.getStateForAction(
+          NavigationActions.push({ routeName: 'Foo' }),
+          initState
+        )
+      )
+    );
+    expect(
+      pushedState && pushedState.routes.map((route: *) => route.routeName)
+    ).toEqual(['Foo', 'Foo', 'Bar', 'Bar']);
+    expect(pushedState && pushedState.index).toEqual(3);
+    expect(pushedState && pushedState.routes[3].params).toEqual({ id: '1' });
+
+    const replacedState = router.getStateForAction(
+      NavigationActions.replace({ routeName: 'Foo', params: { id: '2' } }),
+      pushedState
+    );
+    expect(replacedState && replacedState.index).toEqual(3);
+    expect(replacedState && replacedState.routes[3].routeName).toEqual('Foo');
+    expect(replacedState && replacedState.routes[3].key).not.toEqual(
+      pushedState && pushedState.routes[3].key
+    );
+    const firstKey = pushedState ? pushedState.routes[0].key : '';
+    const replacedFirstState = router.getStateForAction(
+      NavigationActions.replace({ key: firstKey, routeName: 'Bar' }),
+      pushedState
+    );
+    expect(
+      replacedFirstState &&
+        replacedFirstState.routes.map((route: *) => route.routeName)
+    ).toEqual(['Bar', 'Foo', 'Bar', 'Bar']);
+    expect(replacedFirstState && replacedFirstState.index).toEqual(3);
+
+    // The focused route is not always the last one, e.g. after jumping back
+    const focusedSecondState = pushedState && { ...pushedState, index: 1 };
+    const replacedFocusedState = router.getStateForAction(
+      NavigationActions.replace({ routeName: 'Bar' }),
+      focusedSecondState
+    );
+    expect(
+      replacedFocusedState &&
+        replacedFocusedState.routes.map((route: *) => route.routeName)
+    ).toEqual(['Foo', 'Bar', 'Bar', 'Bar']);
+    expect(replacedFocusedState && replacedFocusedState.index).toEqual(1);
+    expect(replacedFocusedState && replacedFocusedState.routes[3]).toBe(
+      pushedState && pushedState.routes[3]
+    );
+
+    const poppedState = router.getStateForAction(
+      NavigationActions.popN({ n: 2 }),
+      pushedState
+    );
+    expect(poppedState && poppedState.routes.length).toEqual(2);
+    expect(poppedState && poppedState.index).toEqual(1);
+    const overPoppedState = router.getStateForAction(
+      NavigationActions.popN({ n: 10 }),
+      pushedState
+    );
+    expect(overPoppedState && overPoppedState.routes.length).toEqual(1);
+    expect(
+      router.getStateForAction(NavigationActions.popN({ n: 1 }), initState)
+    ).toBe(initState);
+
+    const topState = router.getStateForAction(
+      NavigationActions.popToTop(),
+      pushedState
+    );
+    expect(topState && topState.routes).toEqual([
+      pushedState && pushedState.routes[0],
+    ]);
+    expect(topState && topState.index).toEqual(0);
+  });
+
+  test('Focuses the route with the same unique id', () => {
+    const router = StackRouter({
+      Inbox: { screen: () => <div /> },
+      Chat: {
+        screen: () => <div />,
+        getUniqueId: (params: *) => (params ? String(params.id) : null),
+      },
+      Profile: { screen: () => <div /> },
+    });
+    const openChat = (id: string, state: *) =>
+      router.getStateForAction(
+        NavigationActions.navigate({ routeName: 'Chat', params: { id } }),
+        state
+      );
+    const chat1State = openChat(
+      '1',
+      router.getStateForAction(NavigationActions.init())
+    );
+    const chat2State = openChat('2', chat1State);
+    expect(
+      chat2State && chat2State.routes.map((route: *) => route.routeName)
+    ).toEqual(['Inbox', 'Chat', 'Chat']);
+    expect(chat2State && chat2State.routes[2].uniqueId).toEqual('2');
+    expect(openChat('2', chat2State)).toBe(chat2State);
+
+    const chat1AgainState = openChat('1', chat2State);
+    expect(chat1AgainState && chat1AgainState.index).toEqual(1);
+    expect(chat1AgainState && chat1AgainState.routes.length).toEqual(2);
+    expect(chat1AgainState && chat1AgainState.routes[1].key).toEqual(
+      chat1State && chat1State.routes[1].key
+    );
+
+    const profileState = router.getStateForAction(
+      NavigationActions.navigate({ routeName: 'Profile', uniqueId: 'me' }),
+      chat1AgainState
+    );
+    const profileAgainState = router.getStateForAction(
+      NavigationActions.navigate({
+        routeName: 'Profile',
+        params: { tab: 'photos' },
+        uniqueId: 'me',
+      }),
+      openChat('3', profileState)
+    );
+    expect(profileAgainState && profileAgainState.index).toEqual(2);
+    expect(profileAgainState && profileAgainState.routes[2].params).toEqual({
+      tab: 'photos',
+    });
+  });
 });
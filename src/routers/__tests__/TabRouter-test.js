@@ -3,6 +3,7 @@
 
 import React from 'react';
 import TabRouter from '../TabRouter';
+import StackRouter from '../StackRouter';
 
 import NavigationActions from '../../NavigationActions';
 
@@ -594,4 +595,217 @@ describe('TabRouter', () => {
       ],
     });
   });
+
+  test('Builds URIs for states and actions', () => {
+    const router = TabRouter({
+      Foo: { screen: () => <div />, path: 'f' },
+      Bar: { screen: () => <div />, path: 'b' },
+    });
+    const state = router.getStateForAction(INIT_ACTION);
+    expect(state && router.getURIForState(state)).toEqual('f');
+    expect(
+      router.getURIForAction(
+        NavigationActions.navigate({
+          routeName: 'Bar',
+          params: { q: 'a&b' },
+        }),
+        state
+      )
+    ).toEqual('b?q=a%26b');
+  });
+
+  test('Respects canEnter and canLeave of route configs', () => {
+    let isLoggedIn = false;
+    const canLeave = jest.fn(() => true);
+    const router = TabRouter({
+      Foo: { screen: () => <div />, canLeave },
+      Bar: { screen: () => <div />, canEnter: () => isLoggedIn },
+    });
+    const state = router.getStateForAction(INIT_ACTION);
+    const action = NavigationActions.navigate({ routeName: 'Bar' });
+    expect(router.getStateForAction(action, state)).toEqual(null);
+    expect(canLeave).toBeCalledWith(state && state.routes[0], action);
+
+    isLoggedIn = true;
+    const state2 = router.getStateForAction(action, state);
+    expect(state2 && state2.index).toEqual(1);
+  });
+
+  test('Follows the redirect of route configs', () => {
+    const router = TabRouter({
+      Foo: BareLeafRouteConfig,
+      Bar: BareLeafRouteConfig,
+      Settings: { redirect: { routeName: 'Bar', params: { tab: 'settings' } } },
+    });
+    const state = router.getStateForAction(INIT_ACTION);
+    expect(state && state.routes.map((route: *) => route.routeName)).toEqual([
+      'Foo',
+      'Bar',
+    ]);
+    const barState = router.getStateForAction(
+      NavigationActions.navigate({ routeName: 'Settings' }),
+      state
+    );
+    expect(barState && barState.index).toEqual(1);
+    expect(barState && barState.routes[1].params).toEqual({ tab: 'settings' });
+  });
+
+  test('Shows, hides and reorders tabs with the set tab order action', () => {
+    const ChildNavigator = () => <div />;
+    ChildNavigator.router = StackRouter({
+      List: { screen: () => <div /> },
+      Detail: { screen: () => <div /> },
+    });
+    const router = TabRouter({
+      Foo: BareLeafRouteConfig,
+      Bar: { screen: ChildNavigator },
+      Admin: BareLeafRouteConfig,
+    });
+    const initState = router.getStateForAction(INIT_ACTION);
+    const state = router.getStateForAction(
+      NavigationActions.setTabOrder({ order: ['Foo', 'Bar'] }),
+      initState
+    );
+    expect(state && state.routes.map((route: *) => route.routeName)).toEqual([
+      'Foo',
+      'Bar',
+    ]);
+    expect(state && state.hiddenRoutes).toEqual([
+      initState && initState.routes[2],
+    ]);
+    expect(state && state.tabOrder).toEqual(['Foo', 'Bar']);
+
+    // Hidden tabs can't be navigated to
+    expect(
+      router.getStateForAction(
+        NavigationActions.navigate({ routeName: 'Admin' }),
+        state
+      )
+    ).toEqual(state);
+
+    const detailState = router.getStateForAction(
+      NavigationActions.navigate({
+        routeName: 'Bar',
+        action: NavigationActions.navigate({ routeName: 'Detail' }),
+      }),
+      state
+    );
+    const barRoute = detailState && detailState.routes[1];
+    const shownState = router.getStateForAction(
+      NavigationActions.setTabOrder({ order: ['Admin', 'Bar', 'Foo'] }),
+      detailState
+    );
+    expect(shownState).toEqual({
+      index: 1,
+      routes: [
+        { key: 'Admin', routeName: 'Admin' },
+        barRoute,
+        state && state.routes[0],
+      ],
+      tabOrder: ['Admin', 'Bar', 'Foo'],
+    });
+    expect(shownState && router.validateState(shownState)).toEqual([]);
+
+    // The nested state of a tab is kept while it is hidden
+    const hiddenState = router.getStateForAction(
+      NavigationActions.setTabOrder({ order: ['Admin', 'Foo'] }),
+      shownState
+    );
+    expect(hiddenState && hiddenState.index).toEqual(1);
+    expect(hiddenState && hiddenState.hiddenRoutes).toEqual([barRoute]);
+    expect(
+      router.getStateForAction(
+        NavigationActions.setTabOrder({ order: ['Foo', 'Bar'] }),
+        hiddenState
+      )
+    ).toEqual({
+      index: 0,
+      routes: [state && state.routes[0], barRoute],
+      hiddenRoutes: [{ key: 'Admin', routeName: 'Admin' }],
+      tabOrder: ['Foo', 'Bar'],
+    });
+
+    // Tabs of other navigators are left to them
+    expect(
+      router.getStateForAction(
+        NavigationActions.setTabOrder({ order: ['Settings'] }),
+        state
+      )
+    ).toEqual(state);
+  });
+
+  test('Leaves the routes that are not in the order config out', () => {
+    const ChildNavigator = () => <div />;
+    ChildNavigator.router = StackRouter({
+      List: { screen: () => <div /> },
+    });
+    const AdminNavigator = () => <div />;
+    AdminNavigator.router = StackRouter({
+      Users: { screen: () => <div /> },
+    });
+    const router = TabRouter(
+      {
+        Foo: { screen: ChildNavigator },
+        Bar: { screen: ChildNavigator },
+        Admin: { screen: AdminNavigator },
+      },
+      { order: ['Bar', 'Foo'] }
+    );
+    const state = router.getStateForAction(INIT_ACTION);
+    expect(state && state.routes.map((route: *) => route.routeName)).toEqual([
+      'Bar',
+      'Foo',
+    ]);
+    expect(state && state.hiddenRoutes).toBe(undefined);
+    expect(state && router.validateState(state)).toEqual([]);
+    expect(router.getActionForPathAndParams('Users')).toBe(null);
+    expect(
+      router.getStateForAction(
+        NavigationActions.setTabOrder({ order: ['Admin', 'Foo'] }),
+        state
+      )
+    ).toBe(state);
+  });
+
+  test('Goes back to the tabs focused before with the history back behavior', () => {
+    const ChildNavigator = () => <div />;
+    ChildNavigator.router = StackRouter({
+      List: { screen: () => <div /> },
+      Detail: { screen: () => <div /> },
+    });
+    const router = TabRouter(
+      {
+        Foo: BareLeafRouteConfig,
+        Bar: { screen: ChildNavigator },
+        Baz: BareLeafRouteConfig,
+      },
+      { backBehavior: 'history' }
+    );
+    const navigate = (routeName: string, state: *) =>
+      router.getStateForAction(
+        NavigationActions.navigate({ routeName }),
+        state
+      );
+    const back = (state: *) =>
+      router.getStateForAction(NavigationActions.back(), state);
+
+    const state = router.getStateForAction(INIT_ACTION);
+    expect(state && state.routeKeyHistory).toEqual(['Foo']);
+    const state2 = navigate('Detail', navigate('Baz', navigate('Bar', state)));
+    expect(state2 && state2.index).toEqual(1);
+    expect(state2 && state2.routeKeyHistory).toEqual(['Foo', 'Baz', 'Bar']);
+
+    // The stack in the tab goes back first
+    const state3 = back(state2);
+    expect(state3 && state3.index).toEqual(1);
+    /* $FlowFixMe */
+    expect(state3 && state3.routes[1].index).toEqual(0);
+    const state4 = back(state3);
+    expect(state4 && state4.index).toEqual(2);
+    expect(state4 && state4.routeKeyHistory).toEqual(['Foo', 'Baz']);
+    const state5 = back(state4);
+    expect(state5 && state5.index).toEqual(0);
+    expect(state5 && state5.routeKeyHistory).toEqual(['Foo']);
+    expect(back(state5)).toBe(state5);
+  });
 });
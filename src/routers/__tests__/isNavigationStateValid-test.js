@@ -0,0 +1,123 @@
+/* @flow */
+/* eslint react/display-name:0 */
+
+import React from 'react';
+
+import StackRouter from '../StackRouter';
+import TabRouter from '../TabRouter';
+import isNavigationStateValid from '../isNavigationStateValid';
+
+const Screen = () => <div />;
+
+const Tabs = () => <div />;
+Tabs.router = TabRouter({
+  Feed: { screen: Screen },
+  Settings: { screen: Screen },
+});
+
+const router = StackRouter({
+  Home: { screen: Tabs },
+  Profile: { screen: Screen },
+});
+
+const validState = {
+  index: 1,
+  routes: [
+    {
+      key: 'A',
+      routeName: 'Home',
+      index: 0,
+      routes: [
+        { key: 'Feed', routeName: 'Feed' },
+        { key: 'Settings', routeName: 'Settings' },
+      ],
+    },
+    { key: 'B', routeName: 'Profile' },
+  ],
+};
+
+describe('isNavigationStateValid', () => {
+  test('Accepts a state matching the route configs', () => {
+    expect(isNavigationStateValid(router, validState)).toBe(true);
+  });
+
+  test('Rejects states with removed routes', () => {
+    expect(
+      isNavigationStateValid(router, {
+        ...validState,
+        routes: [validState.routes[0], { key: 'B', routeName: 'OldProfile' }],
+      })
+    ).toBe(false);
+  });
+
+  test('Rejects nested states with removed routes', () => {
+    expect(
+      isNavigationStateValid(router, {
+        ...validState,
+        routes: [
+          {
+            ...validState.routes[0],
+            routes: [{ key: 'Inbox', routeName: 'Inbox' }],
+          },
+        ],
+        index: 0,
+      })
+    ).toBe(false);
+  });
+
+  test('Rejects an out of range index', () => {
+    expect(isNavigationStateValid(router, { ...validState, index: 2 })).toBe(
+      false
+    );
+  });
+
+  test('Rejects routes that are no longer navigators', () => {
+    expect(
+      isNavigationStateValid(router, {
+        index: 0,
+        routes: [{ key: 'A', routeName: 'Home' }],
+      })
+    ).toBe(false);
+  });
+
+  describe('with a custom router without validateState', () => {
+    const customRouter = { ...router, validateState: undefined };
+
+    test('Accepts a state matching the route configs', () => {
+      expect(isNavigationStateValid(customRouter, validState)).toBe(true);
+    });
+
+    test('Rejects states with removed routes', () => {
+      expect(
+        isNavigationStateValid(customRouter, {
+          ...validState,
+          routes: [validState.routes[0], { key: 'B', routeName: 'OldProfile' }],
+        })
+      ).toBe(false);
+    });
+
+    test('Rejects an out of range index', () => {
+      expect(
+        isNavigationStateValid(customRouter, { ...validState, index: 2 })
+      ).toBe(false);
+    });
+
+    test('Rejects routes that are no longer navigators', () => {
+      expect(
+        isNavigationStateValid(customRouter, {
+          index: 0,
+          routes: [{ key: 'A', routeName: 'Home' }],
+        })
+      ).toBe(false);
+    });
+
+    test('Rejects routes that have become navigators', () => {
+      expect(
+        isNavigationStateValid(customRouter, {
+          index: 0,
+          routes: [{ key: 'B', routeName: 'Profile', index: 0, routes: [] }],
+        })
+      ).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/* @flow */
+/* eslint react/display-name:0 */
+
+import React from 'react';
+
+import StackRouter from '../StackRouter';
+import TabRouter from '../TabRouter';
+
+const Screen = () => <div />;
+
+const Tabs = () => <div />;
+Tabs.router = TabRouter({
+  Feed: { screen: Screen },
+  Settings: { screen: Screen },
+});
+
+const router = StackRouter({
+  Home: { screen: Tabs },
+  Profile: { screen: Screen },
+});
+
+const tabsState = {
+  key: 'A',
+  routeName: 'Home',
+  index: 0,
+  routes: [
+    { key: 'Feed', routeName: 'Feed' },
+    { key: 'Settings', routeName: 'Settings' },
+  ],
+};
+
+describe('validateState', () => {
+  test('Returns no errors for a valid state', () => {
+    expect(
+      router.validateState({
+        index: 1,
+        routes: [tabsState, { key: 'B', routeName: 'Profile' }],
+      })
+    ).toEqual([]);
+  });
+
+  test('Reports unknown routes, duplicate keys and invalid indexes', () => {
+    const errors = router.validateState({
+      index: 3,
+      routes: [
+        tabsState,
+        { key: 'B', routeName: 'OldProfile' },
+        { key: 'B', routeName: 'Profile' },
+      ],
+    });
+    expect(errors.map((error: *) => [error.type, error.path])).toEqual([
+      ['INVALID_INDEX', []],
+      ['UNKNOWN_ROUTE', ['B']],
+      ['DUPLICATE_KEY', ['B']],
+    ]);
+  });
+
+  test('Reports routes that only redirect as unknown', () => {
+    const redirectingRouter = StackRouter({
+      Home: { screen: Screen },
+      Profile: { screen: Screen },
+      OldProfile: { redirect: 'Profile' },
+    });
+    const errors = redirectingRouter.validateState({
+      index: 1,
+      routes: [
+        { key: 'A', routeName: 'Home' },
+        { key: 'B', routeName: 'OldProfile' },
+      ],
+    });
+    expect(errors.map((error: *) => [error.type, error.path])).toEqual([
+      ['UNKNOWN_ROUTE', ['B']],
+    ]);
+  });
+
+  test('Reports errors in nested states with their path', () => {
+    const errors = router.validateState({
+      index: 0,
+      routes: [
+        {
+          ...tabsState,
+          routes: [
+            { key: 'Settings', routeName: 'Settings' },
+            { key: 'Feed', routeName: 'Feed' },
+          ],
+        },
+      ],
+    });
+    expect(errors.map((error: *) => [error.type, error.path])).toEqual([
+      ['TAB_ORDER_MISMATCH', ['A']],
+    ]);
+  });
+
+  test('Checks the tabs against the tab order of the state', () => {
+    const reorderedTabsState = {
+      ...tabsState,
+      routes: [
+        { key: 'Settings', routeName: 'Settings' },
+        { key: 'Feed', routeName: 'Feed' },
+      ],
+      tabOrder: ['Settings', 'Feed'],
+    };
+    const hiddenTabsState = {
+      ...tabsState,
+      routes: [{ key: 'Settings', routeName: 'Settings' }],
+      hiddenRoutes: [{ key: 'Feed', routeName: 'Feed' }],
+      tabOrder: ['Settings'],
+    };
+    expect(
+      router.validateState({ index: 0, routes: [reorderedTabsState] })
+    ).toEqual([]);
+    expect(
+      router.validateState({ index: 0, routes: [hiddenTabsState] })
+    ).toEqual([]);
+
+    const errors = router.validateState({
+      index: 0,
+      routes: [{ ...hiddenTabsState, hiddenRoutes: undefined }],
+    });
+    expect(errors.map((error: *) => [error.type, error.path])).toEqual([
+      ['TAB_ORDER_MISMATCH', ['A']],
+    ]);
+  });
+
+  test('Reports navigator routes without a state', () => {
+    const errors = router.validateState({
+      index: 0,
+      routes: [{ key: 'A', routeName: 'Home' }],
+    });
+    expect(errors.map((error: *) => [error.type, error.path])).toEqual([
+      ['INVALID_STATE', ['A']],
+    ]);
+  });
+});
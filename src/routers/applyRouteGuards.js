@@ -0,0 +1,56 @@
+/* @flow */
+
+import type {
+  NavigationAction,
+  NavigationRouteConfigMap,
+  NavigationState,
+} from '../TypeDefinition';
+
+/**
+ * Checks the `canLeave` hook of the focused route and the `canEnter` hook of
+ * the route about to be focused when an action moves the focus of a router.
+ *
+ * Returns `nextState` when the action may go ahead, and null, meaning the
+ * action was handled without changing the state, when a hook refused it.
+ * Actions with `skipRouteGuards` always go ahead.
+ */
+export default function applyRouteGuards(
+  routeConfigs: NavigationRouteConfigMap,
+  action: NavigationAction,
+  lastState: ?NavigationState,
+  nextState: ?NavigationState
+): ?NavigationState {
+  if (
+    !lastState ||
+    !nextState ||
+    nextState === lastState ||
+    (action: Object).skipRouteGuards
+  ) {
+    return nextState;
+  }
+  const lastRoute = lastState.routes[lastState.index];
+  const nextRoute = nextState.routes[nextState.index];
+  if (lastRoute.key === nextRoute.key) {
+    return nextState;
+  }
+
+  const lastRouteConfig = routeConfigs[lastRoute.routeName];
+  if (
+    lastRouteConfig &&
+    lastRouteConfig.canLeave &&
+    lastRouteConfig.canLeave(lastRoute, action) === false
+  ) {
+    return null;
+  }
+
+  const nextRouteConfig = routeConfigs[nextRoute.routeName];
+  if (
+    nextRouteConfig &&
+    nextRouteConfig.canEnter &&
+    nextRouteConfig.canEnter(action, lastState) === false
+  ) {
+    return null;
+  }
+
+  return nextState;
+}
@@ -0,0 +1,41 @@
+/* @flow */
+
+import addNavigationHelpers from '../addNavigationHelpers';
+
+import type {
+  NavigationAction,
+  NavigationProp,
+  NavigationRouter,
+  NavigationState,
+} from '../TypeDefinition';
+
+/**
+ * Resolves the options of the screen that is focused in a whole navigation
+ * tree. The options of every navigator on the way down are merged, so the
+ * deepest screen wins, e.g. for the title of the page.
+ */
+export default function getActiveScreenOptions(
+  router: NavigationRouter<*, *, *>,
+  navigation: NavigationProp<NavigationState, NavigationAction>,
+  screenProps?: {}
+): * {
+  const { state } = navigation;
+  const route = state.routes[state.index];
+  const options = router.getScreenOptions(
+    addNavigationHelpers({ ...navigation, state: route }),
+    screenProps
+  );
+  const childRouter = router.getComponentForRouteName(route.routeName).router;
+  if (!childRouter || !route.routes) {
+    return options;
+  }
+  return {
+    ...options,
+    ...getActiveScreenOptions(
+      childRouter,
+      // $FlowFixMe a route with child routes is the state of a navigator
+      { ...navigation, state: route },
+      screenProps
+    ),
+  };
+}
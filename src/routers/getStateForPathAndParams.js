@@ -0,0 +1,27 @@
+/* @flow */
+
+import NavigationActions from '../NavigationActions';
+
+import type {
+  NavigationParams,
+  NavigationRouter,
+  NavigationState,
+} from '../TypeDefinition';
+
+/**
+ * Resolves a path to the state a navigator should start from, by applying
+ * the action for the path on top of its initial state. Returns `null` when
+ * the router does not know the path.
+ */
+export default function getStateForPathAndParams(
+  router: NavigationRouter<*, *, *>,
+  path: string,
+  params?: NavigationParams
+): ?NavigationState {
+  const action = router.getActionForPathAndParams(path, params);
+  if (!action) {
+    return null;
+  }
+  const initialState = router.getStateForAction(NavigationActions.init());
+  return router.getStateForAction(action, initialState) || initialState;
+}
@@ -0,0 +1,35 @@
+/* @flow */
+
+import URLUtils from '../URLUtils';
+
+import type {
+  NavigationParams,
+  NavigationRoute,
+  NavigationRouter,
+} from '../TypeDefinition';
+
+/**
+ * Builds the URI of a navigator's active route out of the path segment the
+ * route contributes, the params that segment did not consume and the URI of
+ * the child navigator, if the route has one. Returns null when the child
+ * navigator cannot build its URI.
+ */
+export default function getURIForChildRoute(
+  subPath: string,
+  queryParams: ?NavigationParams,
+  route: NavigationRoute,
+  childRouter: ?NavigationRouter<*, *, *>
+): ?string {
+  let path = subPath;
+  let params = queryParams || {};
+  if (childRouter && childRouter.getURIForState) {
+    const childURI = childRouter.getURIForState(route);
+    if (childURI == null) {
+      return null;
+    }
+    const [childPath, childQuery] = childURI.split('?');
+    path = subPath ? `${subPath}/${childPath}` : childPath;
+    params = { ...params, ...URLUtils.parseQuery(childQuery) };
+  }
+  return URLUtils.format(path, params);
+}
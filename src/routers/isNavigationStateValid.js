@@ -0,0 +1,51 @@
+/* @flow */
+
+import type {
+  NavigationRoute,
+  NavigationRouter,
+  NavigationState,
+} from '../TypeDefinition';
+
+function isRouteValid(
+  router: NavigationRouter<*, *, *>,
+  route: NavigationRoute
+): boolean {
+  if (!route || typeof route.key !== 'string') {
+    return false;
+  }
+  let screen;
+  try {
+    screen = router.getComponentForRouteName(route.routeName);
+  } catch (e) {
+    // The route was renamed or removed from the route config
+    return false;
+  }
+  if (!route.routes) {
+    return !screen.router;
+  }
+  // $FlowFixMe a route with child routes is the state of a navigator
+  return !!screen.router && isNavigationStateValid(screen.router, route);
+}
+
+/**
+ * Checks that a state, e.g. one restored from storage, can still be rendered
+ * by a router. The built-in routers validate states themselves, custom
+ * routers without a `validateState` only get checked for routes that no
+ * longer exist in the route configs.
+ */
+export default function isNavigationStateValid(
+  router: NavigationRouter<*, *, *>,
+  state: NavigationState
+): boolean {
+  if (router.validateState) {
+    return router.validateState(state).length === 0;
+  }
+  return (
+    !!state &&
+    Array.isArray(state.routes) &&
+    state.routes.length > 0 &&
+    state.index >= 0 &&
+    state.index < state.routes.length &&
+    state.routes.every((route: NavigationRoute) => isRouteValid(router, route))
+  );
+}
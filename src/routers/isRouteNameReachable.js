@@ -0,0 +1,39 @@
+/* @flow */
+
+import NavigationActions from '../NavigationActions';
+import getScreenForRouteName from './getScreenForRouteName';
+
+import type { NavigationRouteConfigMap } from '../TypeDefinition';
+
+/**
+ * Whether a navigator with these route configs can navigate to `routeName`,
+ * because it is one of its routes or a route of a navigator nested in it.
+ */
+export default function isRouteNameReachable(
+  routeConfigs: NavigationRouteConfigMap,
+  routeName: string
+): boolean {
+  if (routeConfigs[routeName]) {
+    return true;
+  }
+  const action = NavigationActions.navigate({ routeName });
+  return Object.keys(routeConfigs).some((childRouteName: string) => {
+    const routeConfig = routeConfigs[childRouteName];
+    if (!routeConfig.screen && !routeConfig.getScreen) {
+      return false;
+    }
+    const { router } = getScreenForRouteName(routeConfigs, childRouteName);
+    if (!router) {
+      return false;
+    }
+    try {
+      router.getComponentForRouteName(routeName);
+      return true;
+    } catch (e) {
+      // Not one of the screens of the nested navigator, it may still lead
+      // there through a redirect or a navigator nested further down.
+    }
+    const initialState = router.getStateForAction(NavigationActions.init());
+    return router.getStateForAction(action, initialState) !== initialState;
+  });
+}
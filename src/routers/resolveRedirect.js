@@ -0,0 +1,121 @@
+/* @flow */
+
+import NavigationActions from '../NavigationActions';
+import isRouteNameReachable from './isRouteNameReachable';
+
+import type {
+  NavigationAction,
+  NavigationNavigateAction,
+  NavigationRedirect,
+  NavigationResetAction,
+  NavigationRouteConfigMap,
+  NavigationState,
+} from '../TypeDefinition';
+
+function warnIgnoredRedirect(message: string) {
+  if (__DEV__) {
+    console.warn(`${message} The action is ignored.`);
+  }
+}
+
+/**
+ * Returns null for redirects that can't be followed, i.e. loops and targets
+ * out of reach of the router.
+ */
+function redirectNavigateAction(
+  routeConfigs: NavigationRouteConfigMap,
+  action: NavigationNavigateAction,
+  state: ?NavigationState
+): ?NavigationNavigateAction {
+  const visitedRouteNames = [action.routeName];
+  let redirectedAction = action;
+  let routeConfig = routeConfigs[redirectedAction.routeName];
+  while (routeConfig && routeConfig.redirect) {
+    const { redirect } = routeConfig;
+    const target: ?NavigationRedirect = typeof redirect === 'function'
+      ? redirect(redirectedAction.params, state)
+      : redirect;
+    if (target == null) {
+      break;
+    }
+
+    // The nested action was meant for the route that redirects
+    const { action: childAction, ...rest } = redirectedAction;
+    if (typeof target === 'string') {
+      redirectedAction = { ...rest, routeName: target };
+    } else {
+      redirectedAction = {
+        ...rest,
+        routeName: target.routeName,
+        // Redirect functions may pass on the params they got, which are null
+        // for routes navigated to without params.
+        params: target.params || undefined,
+        action: target.action,
+      };
+    }
+
+    const { routeName } = redirectedAction;
+    if (visitedRouteNames.indexOf(routeName) !== -1) {
+      warnIgnoredRedirect(
+        `Route '${action.routeName}' redirects in a loop: ` +
+          `${visitedRouteNames.join(' -> ')} -> ${routeName}.`
+      );
+      return null;
+    }
+    visitedRouteNames.push(routeName);
+    // The router of a parent navigator would only get the original action
+    if (!isRouteNameReachable(routeConfigs, routeName)) {
+      warnIgnoredRedirect(
+        `Route '${visitedRouteNames[visitedRouteNames.length - 2]}' ` +
+          `redirects to '${routeName}', which is neither a route of its ` +
+          'navigator nor of a navigator nested in it. Redirect from the ' +
+          `route configs of the navigator that has '${routeName}' instead.`
+      );
+      return null;
+    }
+    // Targets in nested navigators are redirected by the router that
+    // handles them.
+    routeConfig = routeConfigs[routeName];
+  }
+  return redirectedAction;
+}
+
+/**
+ * Applies the `redirect` of the route configs to the navigate, push and
+ * replace actions of `action`, following redirects that lead to other redirects.
+ *
+ * Returns null when a redirect can't be followed, so that the router keeps
+ * its state.
+ */
+export default function resolveRedirect(
+  routeConfigs: NavigationRouteConfigMap,
+  action: NavigationAction,
+  state?: ?NavigationState
+): ?NavigationAction {
+  if (
+    action.type === NavigationActions.NAVIGATE ||
+    action.type === NavigationActions.PUSH ||
+    action.type === NavigationActions.REPLACE
+  ) {
+    // Push and replace actions lead to a route the way navigate actions do
+    return redirectNavigateAction(routeConfigs, (action: Object), state);
+  }
+  if (action.type === NavigationActions.RESET) {
+    const resetAction = ((action: *): NavigationResetAction);
+    const actions = [];
+    for (let i = 0; i < resetAction.actions.length; i += 1) {
+      const childAction = redirectNavigateAction(
+        routeConfigs,
+        resetAction.actions[i],
+        state
+      );
+      if (!childAction) {
+        return null;
+      }
+      actions.push(childAction);
+    }
+    const redirectedAction: NavigationResetAction = { ...resetAction, actions };
+    return redirectedAction;
+  }
+  return action;
+}
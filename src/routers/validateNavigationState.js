@@ -0,0 +1,83 @@
+/* @flow */
+
+import type {
+  NavigationRoute,
+  NavigationRouter,
+  NavigationState,
+  NavigationStateError,
+} from '../TypeDefinition';
+
+/**
+ * Lists what is wrong with the state of a navigator whose routes are
+ * `childRouters` (a router for nested navigators, `null` for screens), and
+ * with the states of the nested navigators.
+ *
+ * The `path` of each error holds the keys of the routes leading to it.
+ */
+export default function validateNavigationState(
+  state: NavigationState,
+  childRouters: { [routeName: string]: ?NavigationRouter<*, *, *> }
+): Array<NavigationStateError> {
+  if (!state || !Array.isArray(state.routes) || !state.routes.length) {
+    return [
+      {
+        type: 'INVALID_STATE',
+        path: [],
+        message: 'The state should have a non-empty routes array.',
+      },
+    ];
+  }
+
+  const errors = [];
+  const { index, routes } = state;
+  if (typeof index !== 'number' || index < 0 || index >= routes.length) {
+    errors.push({
+      type: 'INVALID_INDEX',
+      path: [],
+      message: `Index ${String(index)} is out of range for ${routes.length} routes.`,
+    });
+  }
+
+  const keys = {};
+  routes.forEach((route: NavigationRoute) => {
+    const { key, routeName } = route;
+    if (keys[key]) {
+      errors.push({
+        type: 'DUPLICATE_KEY',
+        path: [key],
+        message: `The key '${key}' is used by more than one route.`,
+      });
+    }
+    keys[key] = true;
+
+    const childRouter = childRouters[routeName];
+    if (childRouter === undefined) {
+      errors.push({
+        type: 'UNKNOWN_ROUTE',
+        path: [key],
+        message: `There is no route defined for '${routeName}'.`,
+      });
+      return;
+    }
+    if (!childRouter) {
+      return;
+    }
+    if (!Array.isArray(route.routes)) {
+      errors.push({
+        type: 'INVALID_STATE',
+        path: [key],
+        message: `The route '${routeName}' is a navigator but has no routes.`,
+      });
+      return;
+    }
+    if (childRouter.validateState) {
+      childRouter
+        .validateState(route)
+        .forEach((error: NavigationStateError) =>
+          errors.push({ ...error, path: [key, ...error.path] })
+        );
+    }
+  });
+
+  return errors;
+}
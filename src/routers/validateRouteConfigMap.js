@@ -1,6 +1,7 @@
 /** @flow */
 
 import invariant from '../utils/invariant';
+import isRouteNameReachable from './isRouteNameReachable';
 
 import type { NavigationRouteConfigMap } from '../TypeDefinition';
 
@@ -19,7 +20,7 @@ function validateRouteConfigMap(routeConfigs: NavigationRouteConfigMap) {
     const routeConfig = routeConfigs[routeName];
 
     invariant(
-      routeConfig.screen || routeConfig.getScreen,
+      routeConfig.screen || routeConfig.getScreen || routeConfig.redirect,
       `Route '${routeName}' should declare a screen. ` +
         'For example:\n\n' +
         "import MyScreen from './MyScreen';\n" +
@@ -55,6 +56,19 @@ function validateRouteConfigMap(routeConfigs: NavigationRouteConfigMap) {
           '}'
       );
     }
+
+    const { redirect } = routeConfig;
+    if (redirect && typeof redirect !== 'function') {
+      const target = typeof redirect === 'string'
+        ? redirect
+        : redirect.routeName;
+      invariant(
+        isRouteNameReachable(routeConfigs, target),
+        `Route '${routeName}' redirects to '${target}', which is neither a ` +
+          'route of its navigator nor of a navigator nested in it. Redirect ' +
+          `from the route configs of the navigator that has '${target}' instead.`
+      );
+    }
   });
 }
 
@@ -17,10 +17,18 @@ import Card from './Card';
 import Header from './Header';
 import NavigationActions from '../NavigationActions';
 import addNavigationHelpers from '../addNavigationHelpers';
+import getChildEventSubscriber from '../getChildEventSubscriber';
 import SceneView from './SceneView';
+import { addStatusBarHeightListener } from './getStatusBarHeight';
 
+import type { NavigationEventSubscriber } from '../getChildEventSubscriber';
 import type {
   NavigationAction,
+  NavigationEventCallback,
+  NavigationEventName,
+  NavigationEventPayload,
+  NavigationEventSubscription,
+  NavigationHeaderStyleInterpolator,
   NavigationLayout,
   NavigationScreenProp,
   NavigationScene,
@@ -55,6 +63,10 @@ type Props = {
    * Optional custom animation when transitioning between screens.
    */
   transitionConfig?: () => TransitionConfig,
+  /**
+   * Optional custom animation of the header, see `headerStyleInterpolator`.
+   */
+  headerStyleInterpolator?: NavigationHeaderStyleInterpolator,
 
   // NavigationTransitionProps:
   layout: NavigationLayout,
@@ -64,6 +76,7 @@ type Props = {
   scenes: Array<NavigationScene>,
   scene: NavigationScene,
   index: number,
+  isTransitioning: boolean,
 };
 
 /**
@@ -125,12 +138,39 @@ class CardStack extends Component {
     [key: string]: ?NavigationScreenDetails<NavigationStackScreenOptions>,
   } = {};
 
+  _childEventSubscribers: {
+    [key: string]: NavigationEventSubscriber,
+  } = {};
+
+  // The scroll offsets that screens report to collapse their large titles
+  _headerScrollY: {
+    [key: string]: Animated.Value,
+  } = {};
+
+  _statusBarHeightSubscription: ?{ remove: () => void } = null;
+
   props: Props;
 
+  componentDidMount() {
+    // The screens are inset by the height of the header, which follows the
+    // status bar
+    this._statusBarHeightSubscription = addStatusBarHeightListener(() =>
+      this.forceUpdate()
+    );
+  }
+
   componentWillReceiveProps(props: Props) {
     if (props.screenProps !== this.props.screenProps) {
       this._screenDetails = {};
     }
+    Object.keys(this._childEventSubscribers).forEach((key: string) => {
+      if (!props.scenes.some((scene: *) => scene.key === key)) {
+        this._childEventSubscribers[key].remove();
+        delete this._childEventSubscribers[key];
+        delete this._screenDetails[key];
+        delete this._headerScrollY[key];
+      }
+    });
     props.scenes.forEach((newScene: *) => {
       if (
         this._screenDetails[newScene.key] &&
@@ -141,6 +181,64 @@ class CardStack extends Component {
     });
   }
 
+  componentDidUpdate(prevProps: Props) {
+    // The cards have settled, screens that were held in `willFocus` or
+    // `willBlur` during the transition can move on.
+    if (prevProps.isTransitioning && !this.props.isTransitioning) {
+      Object.keys(this._childEventSubscribers).forEach((key: string) =>
+        this._childEventSubscribers[key].refresh()
+      );
+    }
+  }
+
+  componentWillUnmount() {
+    if (this._statusBarHeightSubscription) {
+      this._statusBarHeightSubscription.remove();
+    }
+    Object.keys(this._childEventSubscribers).forEach((key: string) =>
+      this._childEventSubscribers[key].remove()
+    );
+    this._childEventSubscribers = {};
+  }
+
+  /**
+   * Passes on the events of the stack, marked as transitioning while the
+   * cards are animating.
+   */
+  _addListener = (
+    eventName: NavigationEventName,
+    callback: NavigationEventCallback
+  ): NavigationEventSubscription => {
+    const { navigation } = this.props;
+    // A navigation prop made without the helpers, e.g. with Redux, has no
+    // events to listen to
+    if (!navigation.addListener) {
+      return { remove: () => {} };
+    }
+    return navigation.addListener(
+      eventName,
+      (payload: NavigationEventPayload) =>
+        callback({ ...payload, isTransitioning: this.props.isTransitioning })
+    );
+  };
+
+  _getChildEventSubscriber(key: string): NavigationEventSubscriber {
+    if (!this._childEventSubscribers[key]) {
+      this._childEventSubscribers[key] = getChildEventSubscriber(
+        this._addListener,
+        key
+      );
+    }
+    return this._childEventSubscribers[key];
+  }
+
+  _getHeaderScrollY = (scene: NavigationScene): Animated.Value => {
+    if (!this._headerScrollY[scene.key]) {
+      this._headerScrollY[scene.key] = new Animated.Value(0);
+    }
+    return this._headerScrollY[scene.key];
+  };
+
   _getScreenDetails = (scene: NavigationScene): NavigationScreenDetails<*> => {
     const { screenProps, navigation, router } = this.props;
     let screenDetails = this._screenDetails[scene.key];
@@ -148,6 +246,7 @@ class CardStack extends Component {
       const screenNavigation = addNavigationHelpers({
         ...navigation,
         state: scene.route,
+        addListener: this._getChildEventSubscriber(scene.key).addListener,
       });
       screenDetails = {
         state: scene.route,
@@ -182,6 +281,7 @@ class CardStack extends Component {
       scene,
       mode: headerMode,
       getScreenDetails: this._getScreenDetails,
+      getHeaderScrollY: this._getHeaderScrollY,
     });
   }
 
@@ -225,9 +325,13 @@ class CardStack extends Component {
       this._immediateIndex = null;
       const backFromScene = scenes.find((s: *) => s.index === toValue + 1);
       if (!this._isResponding && backFromScene) {
-        navigation.dispatch(
+        const didGoBack = navigation.dispatch(
           NavigationActions.back({ key: backFromScene.route.key })
         );
+        // Bring the card back when the route refused to be left.
+        if (!didGoBack) {
+          this._reset(backFromIndex, duration);
+        }
       }
     });
   }
@@ -365,11 +469,48 @@ class CardStack extends Component {
         <View style={styles.scenes}>
           {scenes.map((s: *) => this._renderCard(s))}
         </View>
-        {floatingHeader}
+        {floatingHeader && this._isHeaderOverScreen(scene)
+          ? <View pointerEvents="box-none" style={styles.floatingHeader}>
+              {floatingHeader}
+            </View>
+          : floatingHeader}
       </View>
     );
   }
 
+  /**
+   * The height of the header drawn above the screen, which is 0 when the
+   * screen has no header.
+   */
+  _getHeaderHeight(scene: NavigationScene): number {
+    const { options } = this._getScreenDetails(scene);
+    if (this._getHeaderMode() === 'none' || options.header === null) {
+      return 0;
+    }
+    return Header.getHeight(options);
+  }
+
+  /**
+   * The height of the floating header that the cards are laid out below,
+   * which is 0 when they fill the stack.
+   */
+  _getFloatingHeaderHeight(): number {
+    const { scene } = this.props;
+    if (this._getHeaderMode() !== 'float' || this._isHeaderOverScreen(scene)) {
+      return 0;
+    }
+    return this._getHeaderHeight(scene);
+  }
+
+  /**
+   * Whether the screen is drawn beneath its header, which is transparent or
+   * collapses over the screen as it scrolls.
+   */
+  _isHeaderOverScreen(scene: NavigationScene): boolean {
+    const { options } = this._getScreenDetails(scene);
+    return !!(options.headerTransparent || options.headerLargeTitle);
+  }
+
   _getHeaderMode(): HeaderMode {
     if (this.props.headerMode) {
       return this.props.headerMode;
@@ -392,7 +533,11 @@ class CardStack extends Component {
       getScreenDetails: this._getScreenDetails,
     };
     const headerMode = this._getHeaderMode();
+    const isHeaderOverScreen = this._isHeaderOverScreen(scene);
+    const headerHeight = this._getHeaderHeight(scene);
+    const headerScrollY = this._getHeaderScrollY(scene);
     if (headerMode === 'screen') {
+      const header = this._renderHeader(scene, headerMode);
       return (
         <View style={styles.container}>
           <View style={{ flex: 1 }}>
@@ -400,9 +545,15 @@ class CardStack extends Component {
               screenProps={sceneProps}
               navigation={navigation}
               component={SceneComponent}
+              headerHeight={headerHeight}
+              headerScrollY={headerScrollY}
             />
           </View>
-          {this._renderHeader(scene, headerMode)}
+          {isHeaderOverScreen && header
+            ? <View pointerEvents="box-none" style={styles.floatingHeader}>
+                {header}
+              </View>
+            : header}
         </View>
       );
     } else if (headerMode === 'custom') {
@@ -414,16 +565,40 @@ class CardStack extends Component {
               screenProps={{ ...sceneProps, Header }}
               navigation={navigation}
               component={SceneComponent}
+              headerHeight={headerHeight}
+              headerScrollY={headerScrollY}
             />
           </View>
         </View>
       );
     }
+    if (
+      headerMode === 'float' &&
+      !isHeaderOverScreen &&
+      headerHeight &&
+      this._isHeaderOverScreen(this.props.scene)
+    ) {
+      // The floating header is drawn over the screens while the focused
+      // screen is beneath it, so the screens around it make room for it
+      return (
+        <View style={{ flex: 1, paddingTop: headerHeight }}>
+          <SceneView
+            screenProps={sceneProps}
+            navigation={navigation}
+            component={SceneComponent}
+            headerHeight={headerHeight}
+            headerScrollY={headerScrollY}
+          />
+        </View>
+      );
+    }
     return (
       <SceneView
         screenProps={sceneProps}
         navigation={navigation}
         component={SceneComponent}
+        headerHeight={headerHeight}
+        headerScrollY={headerScrollY}
       />
     );
   }
@@ -439,7 +614,12 @@ class CardStack extends Component {
       isModal
     );
     const style =
-      screenInterpolator && screenInterpolator({ ...this.props, scene });
+      screenInterpolator &&
+      screenInterpolator({
+        ...this.props,
+        scene,
+        headerHeight: this._getFloatingHeaderHeight(),
+      });
 
     const SceneComponent = this.props.router.getComponentForRouteName(
       scene.route.routeName
@@ -470,6 +650,12 @@ const styles = StyleSheet.create({
   scenes: {
     flex: 1,
   },
+  floatingHeader: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+  },
 });
 
 export default CardStack;
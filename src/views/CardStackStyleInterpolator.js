@@ -81,15 +81,19 @@ function forHorizontal(props: NavigationSceneRendererProps): Object {
 /**
  * Standard iOS-style slide in from the bottom (used for modals).
  */
-function forVertical(props: NavigationSceneRendererProps): Object {
-  const { layout, position, scene } = props;
+function forVertical(
+  props: NavigationSceneRendererProps & { headerHeight: number }
+): Object {
+  // Interpolators that are called directly may leave out the header height
+  const { layout, position, scene, headerHeight = 0 } = props;
 
   if (!layout.isMeasured) {
     return forInitial(props);
   }
 
   const index = scene.index;
-  const height = layout.initHeight;
+  // The cards are shorter than the layout when they are below the header
+  const height = layout.initHeight - headerHeight;
 
   const opacity = position.interpolate({
     inputRange: ([
@@ -3,13 +3,17 @@
 import React, { Component } from 'react';
 import { NativeModules } from 'react-native';
 
+import addNavigationHelpers from '../addNavigationHelpers';
 import CardStack from './CardStack';
 import CardStackStyleInterpolator from './CardStackStyleInterpolator';
+import HeaderStyleInterpolator from './HeaderStyleInterpolator';
 import Transitioner from './Transitioner';
 import TransitionConfigs from './TransitionConfigs';
 
 import type {
   NavigationAction,
+  NavigationHeaderStyleInterpolator,
+  NavigationScene,
   NavigationSceneRenderer,
   NavigationScreenProp,
   NavigationStackScreenOptions,
@@ -42,6 +46,10 @@ type Props = {
    * Optional custom animation when transitioning between screens.
    */
   transitionConfig?: () => TransitionConfig,
+  /**
+   * Optional custom animation of the header.
+   */
+  headerStyleInterpolator?: NavigationHeaderStyleInterpolator,
 };
 
 type DefaultProps = {
@@ -88,7 +96,10 @@ class CardStackTransitioner extends Component<DefaultProps, Props, void> {
     if (
       !!NativeAnimatedModule &&
       // Native animation support also depends on the transforms used:
-      CardStackStyleInterpolator.canUseNativeDriver(isModal)
+      CardStackStyleInterpolator.canUseNativeDriver(isModal) &&
+      !this._animatesHeaderHeight(transitionProps.scene) &&
+      !(prevTransitionProps &&
+        this._animatesHeaderHeight(prevTransitionProps.scene))
     ) {
       // Internal undocumented prop
       transitionSpec.useNativeDriver = true;
@@ -96,6 +107,19 @@ class CardStackTransitioner extends Component<DefaultProps, Props, void> {
     return transitionSpec;
   };
 
+  // The native driver can't animate the height of the header
+  _animatesHeaderHeight(scene: NavigationScene): boolean {
+    const { navigation, router, screenProps } = this.props;
+    const options = router.getScreenOptions(
+      addNavigationHelpers({ ...navigation, state: scene.route }),
+      screenProps
+    );
+    return !!HeaderStyleInterpolator.getHeaderStyleInterpolator(
+      this.props.headerStyleInterpolator,
+      options.headerStyleInterpolator
+    ).forHeight;
+  }
+
   _render = (props: NavigationTransitionProps): React.Element<*> => {
     const {
       screenProps,
@@ -104,6 +128,7 @@ class CardStackTransitioner extends Component<DefaultProps, Props, void> {
       router,
       cardStyle,
       transitionConfig,
+      headerStyleInterpolator,
       style,
     } = this.props;
     return (
@@ -114,6 +139,7 @@ class CardStackTransitioner extends Component<DefaultProps, Props, void> {
         router={router}
         cardStyle={cardStyle}
         transitionConfig={transitionConfig}
+        headerStyleInterpolator={headerStyleInterpolator}
         style={style}
         {...props}
       />
@@ -12,22 +12,21 @@ import type {
   NavigationRouter,
   NavigationDrawerScreenOptions,
   NavigationState,
-  NavigationStateRoute,
   Style,
 } from '../../TypeDefinition';
 
 import type { DrawerScene, DrawerItem } from './DrawerView';
 
-type Navigation = NavigationScreenProp<NavigationStateRoute, NavigationAction>;
-
 type Props = {
   router: NavigationRouter<
     NavigationState,
     NavigationAction,
     NavigationDrawerScreenOptions
   >,
-  navigation: Navigation,
-  childNavigationProps: { [key: string]: Navigation },
+  navigation: NavigationScreenProp<NavigationState, NavigationAction>,
+  childNavigationProps: {
+    [key: string]: NavigationScreenProp<NavigationRoute, NavigationAction>,
+  },
   contentComponent: ReactClass<*>,
   contentOptions?: {},
   screenProps?: {},
@@ -40,15 +39,11 @@ type Props = {
 class DrawerSidebar extends PureComponent<void, Props, void> {
   props: Props;
 
-  _getScreenOptions = (routeKey: string) => {
-    const DrawerScreen = this.props.router.getComponentForRouteName(
-      'DrawerClose'
-    );
-    return DrawerScreen.router.getScreenOptions(
+  _getScreenOptions = (routeKey: string) =>
+    this.props.router.getScreenOptions(
       this.props.childNavigationProps[routeKey],
       this.props.screenProps
     );
-  };
 
   _getLabel = ({ focused, tintColor, route }: DrawerScene) => {
     const { drawerLabel, title } = this._getScreenOptions(route.key);
@@ -76,7 +71,10 @@ class DrawerSidebar extends PureComponent<void, Props, void> {
   };
 
   _onItemPress = ({ route }: DrawerItem) => {
-    this.props.navigation.navigate('DrawerClose');
+    // A screen that locks the drawer open keeps it open once it is focused
+    if (this._getScreenOptions(route.key).drawerLockMode !== 'locked-open') {
+      this.props.navigation.closeDrawer();
+    }
     this.props.navigation.navigate(route.routeName);
   };
 
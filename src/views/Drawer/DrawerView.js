@@ -1,12 +1,17 @@
 /* @flow */
 
 import React, { PureComponent } from 'react';
+import { Animated, Dimensions, StyleSheet, View } from 'react-native';
 import DrawerLayout from 'react-native-drawer-layout-polyfill';
 
 import addNavigationHelpers from '../../addNavigationHelpers';
+import DrawerScreen from './DrawerScreen';
 import DrawerSidebar from './DrawerSidebar';
+import getDrawerType from './getDrawerType';
 
 import type {
+  DrawerLockMode,
+  DrawerType,
   NavigationScreenProp,
   NavigationRoute,
   NavigationRouter,
@@ -35,6 +40,8 @@ export type DrawerViewConfig = {
   contentOptions?: {},
   style?: Style,
   gesturesEnabled?: boolean,
+  drawerType?: DrawerType,
+  drawerBreakpoint?: number,
 };
 
 type Props = DrawerViewConfig & {
@@ -47,85 +54,138 @@ type Props = DrawerViewConfig & {
   navigation: NavigationScreenProp<NavigationState, NavigationAction>,
 };
 
+type State = {
+  windowWidth: number,
+};
+
 const LockMode = {
   unlocked: 'unlocked',
   lockedClosed: 'locked-closed',
   lockedOpen: 'locked-open',
 };
 
+/**
+ * The `drawerLockMode` of the focused screen. Without it, the drawer can
+ * only be swiped when `gesturesEnabled` is set.
+ */
+const getDrawerLockMode = ({
+  navigation,
+  router,
+  screenProps,
+  gesturesEnabled,
+}: Props): DrawerLockMode => {
+  const { routes, index } = navigation.state;
+  const { drawerLockMode } = router.getScreenOptions(
+    addNavigationHelpers({ ...navigation, state: routes[index] }),
+    screenProps || {}
+  );
+  if (drawerLockMode) {
+    return drawerLockMode;
+  }
+  return gesturesEnabled ? LockMode.unlocked : LockMode.lockedClosed;
+};
+
 /**
  * Component that renders the drawer.
  */
-export default class DrawerView<T: *> extends PureComponent<void, Props, void> {
+export default class DrawerView<T: *>
+  extends PureComponent<void, Props, State> {
   props: Props;
 
-  componentWillMount() {
-    this._updateScreenNavigation(this.props.navigation);
+  state = {
+    windowWidth: Dimensions.get('window').width,
+  };
+
+  componentDidMount() {
+    Dimensions.addEventListener('change', this._handleDimensionsChange);
+
+    // The state may come with an open drawer, e.g. when it was persisted
+    if (this.props.navigation.state.isDrawerOpen) {
+      this._openDrawer();
+    } else if (getDrawerLockMode(this.props) === LockMode.lockedOpen) {
+      this.props.navigation.openDrawer();
+    }
   }
 
   componentWillReceiveProps(nextProps: Props) {
-    if (
-      this.props.navigation.state.index !== nextProps.navigation.state.index
-    ) {
-      const { routes, index } = nextProps.navigation.state;
-      if (routes[index].routeName === 'DrawerOpen') {
-        this._drawer.openDrawer();
-      } else {
+    const { isDrawerOpen } = nextProps.navigation.state;
+    if (isDrawerOpen !== this.props.navigation.state.isDrawerOpen) {
+      if (isDrawerOpen) {
+        this._openDrawer();
+      } else if (this._drawer) {
         this._drawer.closeDrawer();
       }
     }
-    this._updateScreenNavigation(nextProps.navigation);
   }
 
-  _screenNavigationProp: NavigationScreenProp<T, NavigationAction>;
+  componentDidUpdate(prevProps: Props, prevState: State) {
+    // The drawer that replaces a permanent one opens if the state says so
+    if (
+      getDrawerType(prevProps, prevState.windowWidth) === 'permanent' &&
+      this.props.navigation.state.isDrawerOpen
+    ) {
+      this._openDrawer();
+    }
 
-  _handleDrawerOpen = () => {
+    // Locking the drawer only keeps the user from swiping it, so it is
+    // opened or closed when a screen locks it that way.
+    const drawerLockMode = getDrawerLockMode(this.props);
+    if (drawerLockMode === getDrawerLockMode(prevProps)) {
+      return;
+    }
     const { navigation } = this.props;
-    const { routes, index } = navigation.state;
-    if (routes[index].routeName !== 'DrawerOpen') {
-      this.props.navigation.navigate('DrawerOpen');
+    if (
+      drawerLockMode === LockMode.lockedOpen &&
+      !navigation.state.isDrawerOpen
+    ) {
+      navigation.openDrawer();
+    } else if (
+      drawerLockMode === LockMode.lockedClosed &&
+      navigation.state.isDrawerOpen
+    ) {
+      navigation.closeDrawer();
     }
+  }
+
+  componentWillUnmount() {
+    Dimensions.removeEventListener('change', this._handleDimensionsChange);
+  }
+
+  _handleDimensionsChange = ({ window }: { window: { width: number } }) => {
+    this.setState({ windowWidth: window.width });
   };
 
-  _handleDrawerClose = () => {
-    const { navigation } = this.props;
-    const { routes, index } = navigation.state;
-    if (routes[index].routeName !== 'DrawerClose') {
-      this.props.navigation.navigate('DrawerClose');
+  _openDrawer() {
+    // Permanent drawers are always open
+    if (this._drawer) {
+      this._drawer.openDrawer();
+    }
+  }
+
+  _handleDrawerOpen = () => {
+    if (!this.props.navigation.state.isDrawerOpen) {
+      this.props.navigation.openDrawer();
     }
   };
 
-  _updateScreenNavigation = (
-    navigation: NavigationScreenProp<NavigationState, NavigationAction>
-  ) => {
-    const navigationState = navigation.state.routes.find(
-      (route: *) => route.routeName === 'DrawerClose'
-    );
-    if (
-      this._screenNavigationProp &&
-      this._screenNavigationProp.state === navigationState
-    ) {
-      return;
+  _handleDrawerClose = () => {
+    if (this.props.navigation.state.isDrawerOpen) {
+      this.props.navigation.closeDrawer();
     }
-    this._screenNavigationProp = addNavigationHelpers({
-      ...navigation,
-      state: navigationState,
-    });
   };
 
-  _getNavigationState = (
-    navigation: NavigationScreenProp<NavigationState, NavigationAction>
-  ) => {
-    const navigationState = navigation.state.routes.find(
-      (route: *) => route.routeName === 'DrawerClose'
-    );
-    return navigationState;
+  _handleDrawerSlide = ({
+    nativeEvent,
+  }: {
+    nativeEvent: { offset: number },
+  }) => {
+    this._drawerOffset.setValue(nativeEvent.offset);
   };
 
   _renderNavigationView = () => (
     <DrawerSidebar
       screenProps={this.props.screenProps}
-      navigation={this._screenNavigationProp}
+      navigation={this.props.navigation}
       router={this.props.router}
       contentComponent={this.props.contentComponent}
       contentOptions={this.props.contentOptions}
@@ -133,35 +193,126 @@ export default class DrawerView<T: *> extends PureComponent<void, Props, void> {
     />
   );
 
+  /**
+   * Keeps the sidebar in place while the drawer slides in, so the content
+   * slides away from it rather than the drawer over the content.
+   */
+  _renderBackNavigationView = () => {
+    const { drawerWidth, drawerPosition } = this.props;
+    const translateX = this._drawerOffset.interpolate({
+      inputRange: [0, 1],
+      outputRange: [drawerPosition === 'right' ? -drawerWidth : drawerWidth, 0],
+    });
+    return (
+      <View style={styles.revealedDrawer}>
+        <Animated.View
+          style={[
+            styles.revealedDrawer,
+            { width: drawerWidth, transform: [{ translateX }] },
+          ]}
+        >
+          {this._renderNavigationView()}
+        </Animated.View>
+      </View>
+    );
+  };
+
+  _renderScreen() {
+    return (
+      <DrawerScreen
+        screenProps={this.props.screenProps}
+        navigation={this.props.navigation}
+        router={this.props.router}
+      />
+    );
+  }
+
   _drawer: any;
 
+  _drawerOffset = new Animated.Value(0);
+
   render() {
-    const DrawerScreen = this.props.router.getComponentForRouteName(
-      'DrawerClose'
-    );
+    const { drawerWidth, drawerPosition } = this.props;
+    const drawerType = getDrawerType(this.props, this.state.windowWidth);
+
+    if (drawerType === 'permanent') {
+      return (
+        <View
+          style={[
+            styles.permanentContainer,
+            drawerPosition === 'right' && styles.permanentContainerRight,
+          ]}
+        >
+          <View style={{ width: drawerWidth }}>
+            {this._renderNavigationView()}
+          </View>
+          <View style={styles.content}>
+            {this._renderScreen()}
+          </View>
+        </View>
+      );
+    }
+
+    // Drawers in the back or sliding in push the content out of their way
+    let contentStyle = null;
+    if (drawerType !== 'front') {
+      contentStyle = {
+        transform: [
+          {
+            translateX: this._drawerOffset.interpolate({
+              inputRange: [0, 1],
+              outputRange: [
+                0,
+                drawerPosition === 'right' ? -drawerWidth : drawerWidth,
+              ],
+            }),
+          },
+        ],
+      };
+    }
+
     return (
       <DrawerLayout
         ref={(c: *) => {
           this._drawer = c;
         }}
-        drawerWidth={this.props.drawerWidth}
+        drawerWidth={drawerWidth}
         onDrawerOpen={this._handleDrawerOpen}
         onDrawerClose={this._handleDrawerClose}
-        renderNavigationView={this._renderNavigationView}
-        drawerLockMode={
-          this.props.gesturesEnabled ? LockMode.unlocked : LockMode.lockedClosed
+        onDrawerSlide={this._handleDrawerSlide}
+        renderNavigationView={
+          drawerType === 'back'
+            ? this._renderBackNavigationView
+            : this._renderNavigationView
         }
+        drawerLockMode={getDrawerLockMode(this.props)}
         drawerPosition={
-          this.props.drawerPosition === 'right'
+          drawerPosition === 'right'
             ? DrawerLayout.positions.Right
             : DrawerLayout.positions.Left
         }
       >
-        <DrawerScreen
-          screenProps={this.props.screenProps}
-          navigation={this._screenNavigationProp}
-        />
+        <Animated.View style={[styles.content, contentStyle]}>
+          {this._renderScreen()}
+        </Animated.View>
       </DrawerLayout>
     );
   }
 }
+
+const styles = StyleSheet.create({
+  content: {
+    flex: 1,
+  },
+  revealedDrawer: {
+    flex: 1,
+    overflow: 'hidden',
+  },
+  permanentContainer: {
+    flex: 1,
+    flexDirection: 'row',
+  },
+  permanentContainerRight: {
+    flexDirection: 'row-reverse',
+  },
+});
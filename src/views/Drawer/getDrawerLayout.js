@@ -0,0 +1,65 @@
+/* @flow */
+
+import getDrawerType from './getDrawerType';
+
+import type { DrawerType } from '../../TypeDefinition';
+import type { DrawerTypeConfig } from './getDrawerType';
+
+export type DrawerLayoutConfig = DrawerTypeConfig & {
+  drawerWidth: number,
+  drawerPosition?: 'left' | 'right',
+};
+
+export type DrawerLayout = {
+  drawerType: DrawerType,
+  // Whether the drawer is on screen
+  isDrawerVisible: boolean,
+  // Whether the drawer is drawn behind the content instead of over it
+  isDrawerBehindContent: boolean,
+  // How far the drawer and the content are moved from their place, to the
+  // right when positive
+  drawerTranslateX: number,
+  contentTranslateX: number,
+  // The room left next to the content for a permanent drawer
+  contentInset: number,
+};
+
+/**
+ * Where to place the drawer and the content in a window of the given width,
+ * for views that don't use `DrawerNavigator`, like on web. The drawer sits
+ * on its side of the window, above or below the content, and is moved out
+ * of the window when it is closed.
+ */
+export default function getDrawerLayout(
+  config: DrawerLayoutConfig,
+  windowWidth: number,
+  isDrawerOpen: boolean
+): DrawerLayout {
+  const { drawerWidth, drawerPosition = 'left' } = config;
+  const drawerType = getDrawerType(config, windowWidth);
+  // The distance that opens the drawer
+  const openDistance = drawerPosition === 'right' ? -drawerWidth : drawerWidth;
+
+  if (drawerType === 'permanent') {
+    return {
+      drawerType,
+      isDrawerVisible: true,
+      isDrawerBehindContent: false,
+      drawerTranslateX: 0,
+      contentTranslateX: 0,
+      contentInset: drawerWidth,
+    };
+  }
+  return {
+    drawerType,
+    isDrawerVisible: isDrawerOpen,
+    isDrawerBehindContent: drawerType === 'back',
+    // A drawer in the back stays in place while the content reveals it
+    drawerTranslateX: isDrawerOpen || drawerType === 'back' ? 0 : -openDistance,
+    // A drawer in front covers the content, the others push it away
+    contentTranslateX: isDrawerOpen && drawerType !== 'front'
+      ? openDistance
+      : 0,
+    contentInset: 0,
+  };
+}
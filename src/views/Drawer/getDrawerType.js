@@ -0,0 +1,22 @@
+/* @flow */
+
+import type { DrawerType } from '../../TypeDefinition';
+
+export type DrawerTypeConfig = {
+  drawerType?: DrawerType,
+  drawerBreakpoint?: number,
+};
+
+/**
+ * The type of drawer to render in a window of the given width. From the
+ * `drawerBreakpoint` width on, the drawer is always `permanent`.
+ */
+export default function getDrawerType(
+  { drawerType = 'front', drawerBreakpoint }: DrawerTypeConfig,
+  windowWidth: number
+): DrawerType {
+  if (drawerBreakpoint != null && windowWidth >= drawerBreakpoint) {
+    return 'permanent';
+  }
+  return drawerType;
+}
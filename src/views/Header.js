@@ -7,11 +7,20 @@ import React from 'react';
 import { Animated, Platform, StyleSheet, View } from 'react-native';
 
 import HeaderTitle from './HeaderTitle';
+import HeaderActions from './HeaderActions';
 import HeaderBackButton from './HeaderBackButton';
+import HeaderSearchBar from './HeaderSearchBar';
 import HeaderStyleInterpolator from './HeaderStyleInterpolator';
+import getStatusBarHeight, {
+  addStatusBarHeightListener,
+} from './getStatusBarHeight';
+import TouchableItem from './TouchableItem';
 
 import type {
+  NavigationHeaderStyleInterpolator,
+  NavigationRoute,
   NavigationScene,
+  NavigationStackScreenOptions,
   NavigationStyleInterpolator,
   LayoutEvent,
   HeaderProps,
@@ -25,23 +34,233 @@ type SceneProps = {
 
 type SubViewRenderer = (props: SceneProps) => ?React.Element<any>;
 
-type SubViewName = 'left' | 'title' | 'right';
+type SubViewName = 'left' | 'title' | 'right' | 'search';
 
 type HeaderState = {
   widths: {
     [key: string]: number,
   },
+  // The widths of the right of the header of each screen, and of the
+  // `headerRight` shown next to its actions
+  rightWidths: {
+    [key: string]: number,
+  },
+  headerRightWidths: {
+    [key: string]: number,
+  },
+  // The screen whose search bar is expanded over its header
+  searchSceneKey: ?string,
 };
 
 const APPBAR_HEIGHT = Platform.OS === 'ios' ? 44 : 56;
 const STATUSBAR_HEIGHT = Platform.OS === 'ios' ? 20 : 0;
 const TITLE_OFFSET = Platform.OS === 'ios' ? 70 : 40;
 
+const LARGE_TITLE_HEIGHT = 52;
+
+const getAppBarHeight = (options: NavigationStackScreenOptions): number =>
+  typeof options.headerHeight === 'number'
+    ? options.headerHeight
+    : APPBAR_HEIGHT;
+
+const getLargeTitleHeight = (options: NavigationStackScreenOptions): number =>
+  options.headerLargeTitle ? LARGE_TITLE_HEIGHT : 0;
+
+// The props of the header style that draw the shadow below the header
+const SHADOW_STYLE_PROPS = [
+  'shadowColor',
+  'shadowOffset',
+  'shadowOpacity',
+  'shadowRadius',
+  'elevation',
+];
+
+const getShadowStyle = (headerStyle: *): { [name: string]: mixed } => {
+  const style = StyleSheet.flatten(headerStyle) || {};
+  return SHADOW_STYLE_PROPS.reduce(
+    (shadowStyle: { [name: string]: mixed }, name: string) =>
+      name in style ? { ...shadowStyle, [name]: style[name] } : shadowStyle,
+    {}
+  );
+};
+
 class Header extends React.PureComponent<void, HeaderProps, HeaderState> {
+  // The height of the header in portrait, below a 20 point status bar
   static HEIGHT = APPBAR_HEIGHT + STATUSBAR_HEIGHT;
 
+  /**
+   * The room left above the header of a screen for the status bar, which is
+   * its `headerStatusBarHeight` when it has one.
+   */
+  static getStatusBarHeight(options: NavigationStackScreenOptions): number {
+    return typeof options.headerStatusBarHeight === 'number'
+      ? options.headerStatusBarHeight
+      : getStatusBarHeight();
+  }
+
+  /**
+   * The height of the header of a screen, including the status bar. This is
+   * the `height` of its `headerStyle` when it has one.
+   */
+  static getHeight(options: NavigationStackScreenOptions): number {
+    const { height } = StyleSheet.flatten(options.headerStyle) || {};
+    if (typeof height === 'number') {
+      return height;
+    }
+    return (
+      Header.getStatusBarHeight(options) +
+      getAppBarHeight(options) +
+      getLargeTitleHeight(options)
+    );
+  }
+
   state = {
     widths: {},
+    rightWidths: {},
+    headerRightWidths: {},
+    searchSceneKey: null,
+  };
+
+  _searchProgress = new Animated.Value(0);
+
+  _statusBarHeightSubscription: ?{ remove: () => void } = null;
+
+  componentDidMount() {
+    this._statusBarHeightSubscription = addStatusBarHeightListener(() =>
+      this.forceUpdate()
+    );
+  }
+
+  componentWillReceiveProps(nextProps: HeaderProps) {
+    const { searchSceneKey } = this.state;
+    const { routes, index } = nextProps.navigation.state;
+    if (!searchSceneKey || routes[index].key === searchSceneKey) {
+      return;
+    }
+    // The search of a screen that is blurred is cancelled, while the search
+    // of a screen that is popped goes away with it
+    const searchScene = nextProps.scenes.find(
+      (scene: NavigationScene) => scene.key === searchSceneKey
+    );
+    const isPopped = !routes.some(
+      (route: NavigationRoute) => route.key === searchSceneKey
+    );
+    if (searchScene && !isPopped) {
+      const { headerSearchBar } = nextProps.getScreenDetails(
+        searchScene
+      ).options;
+      if (headerSearchBar) {
+        HeaderSearchBar.notifyCancel(headerSearchBar);
+      }
+    }
+    this._searchProgress.setValue(0);
+    this.setState({ searchSceneKey: null });
+  }
+
+  componentWillUnmount() {
+    if (this._statusBarHeightSubscription) {
+      this._statusBarHeightSubscription.remove();
+    }
+  }
+
+  // The header animates the way the focused screen asks for
+  _getStyleInterpolator(): NavigationHeaderStyleInterpolator {
+    const { options } = this.props.getScreenDetails(this.props.scene);
+    return HeaderStyleInterpolator.getHeaderStyleInterpolator(
+      this.props.headerStyleInterpolator,
+      options.headerStyleInterpolator
+    );
+  }
+
+  _getHeaderHeight = (scene: NavigationScene): number =>
+    Header.getHeight(this.props.getScreenDetails(scene).options);
+
+  // Screens without a scroll offset keep their large title expanded
+  _getScrollY(scene: NavigationScene): ?Animated.Value {
+    return this.props.getHeaderScrollY
+      ? this.props.getHeaderScrollY(scene)
+      : null;
+  }
+
+  /**
+   * The width of the search button, the actions and the `headerRight` on
+   * the right, which leave the rest of the header to the title. It is
+   * guessed from the icon buttons until the right is measured.
+   */
+  _getRightActionsWidth(scene: NavigationScene): number {
+    const measuredWidth = this.state.rightWidths[scene.key];
+    if (measuredWidth !== undefined) {
+      return measuredWidth;
+    }
+    const { options } = this.props.getScreenDetails(scene);
+    const searchButtonWidth = options.headerSearchBar
+      ? HeaderActions.ACTION_WIDTH
+      : 0;
+    if (!options.headerRightActions) {
+      return searchButtonWidth;
+    }
+    return (
+      searchButtonWidth +
+      HeaderActions.getActionsLayout(
+        options.headerRightActions,
+        this._getRightActionsMaxWidth(scene)
+      ).width
+    );
+  }
+
+  // The room left for the actions by the title, the search button and the
+  // `headerRight`
+  _getRightActionsMaxWidth(scene: NavigationScene): number {
+    const { options } = this.props.getScreenDetails(scene);
+    const { initWidth } = this.props.layout;
+    const titleWidth = this.state.widths[scene.key];
+    // The title is centered on iOS, and on the left elsewhere
+    const maxWidth = Platform.OS === 'ios'
+      ? titleWidth ? (initWidth - titleWidth) / 2 : initWidth / 3
+      : initWidth / 2;
+    const searchButtonWidth = options.headerSearchBar
+      ? HeaderActions.ACTION_WIDTH
+      : 0;
+    const headerRightWidth = options.headerRight
+      ? this.state.headerRightWidths[scene.key] || 0
+      : 0;
+    return maxWidth - searchButtonWidth - headerRightWidth;
+  }
+
+  _handleRightLayout(
+    name: 'rightWidths' | 'headerRightWidths',
+    scene: NavigationScene,
+    e: LayoutEvent
+  ) {
+    const { width } = e.nativeEvent.layout;
+    if (this.state[name][scene.key] !== width) {
+      this.setState({
+        [name]: {
+          ...this.state[name],
+          [scene.key]: width,
+        },
+      });
+    }
+  }
+
+  _openSearch(scene: NavigationScene) {
+    this.setState({ searchSceneKey: scene.key }, () => {
+      Animated.timing(this._searchProgress, {
+        toValue: 1,
+        duration: 200,
+        useNativeDriver: true,
+      }).start();
+    });
+  }
+
+  _closeSearch = () => {
+    Animated.timing(this._searchProgress, {
+      toValue: 0,
+      duration: 200,
+      useNativeDriver: true,
+    }).start(() => {
+      this.setState({ searchSceneKey: null });
+    });
   };
 
   _getHeaderTitleString(scene: NavigationScene): ?string {
@@ -78,6 +297,28 @@ class Header extends React.PureComponent<void, HeaderProps, HeaderState> {
   }
 
   _renderTitleComponent = (props: SceneProps) => {
+    const { options } = this.props.getScreenDetails(props.scene);
+    const title = this._renderCompactTitle(props);
+    if (!options.headerLargeTitle) {
+      return title;
+    }
+    // The title shows up in the bar once the large title has scrolled away
+    const scrollY = this._getScrollY(props.scene);
+    const opacity = scrollY
+      ? scrollY.interpolate({
+          inputRange: [LARGE_TITLE_HEIGHT / 2, LARGE_TITLE_HEIGHT],
+          outputRange: ([0, 1]: Array<number>),
+          extrapolate: 'clamp',
+        })
+      : 0;
+    return (
+      <Animated.View style={{ opacity }}>
+        {title}
+      </Animated.View>
+    );
+  };
+
+  _renderCompactTitle(props: SceneProps): React.Element<*> {
     const details = this.props.getScreenDetails(props.scene);
     const headerTitle = details.options.headerTitle;
     if (headerTitle && typeof headerTitle !== 'string') {
@@ -109,7 +350,58 @@ class Header extends React.PureComponent<void, HeaderProps, HeaderState> {
         {titleString}
       </HeaderTitle>
     );
-  };
+  }
+
+  _renderLargeTitle(props: SceneProps): React.Element<*> {
+    const { options } = this.props.getScreenDetails(props.scene);
+    const color = options.headerTintColor;
+    const styleInterpolator =
+      this._getStyleInterpolator().forLargeTitle ||
+      HeaderStyleInterpolator.forLargeTitle;
+
+    // The large title scrolls up beneath the bar along with the screen
+    const scrollY = this._getScrollY(props.scene);
+    const collapseStyle = scrollY
+      ? {
+          opacity: scrollY.interpolate({
+            inputRange: [LARGE_TITLE_HEIGHT / 2, LARGE_TITLE_HEIGHT],
+            outputRange: ([1, 0]: Array<number>),
+            extrapolate: 'clamp',
+          }),
+          transform: [
+            {
+              translateY: scrollY.interpolate({
+                inputRange: [0, LARGE_TITLE_HEIGHT],
+                outputRange: ([0, -LARGE_TITLE_HEIGHT]: Array<number>),
+                extrapolate: 'clamp',
+              }),
+            },
+          ],
+        }
+      : null;
+
+    return (
+      <Animated.View
+        pointerEvents="none"
+        style={[
+          styles.largeTitleContainer,
+          styleInterpolator({ ...this.props, ...props }),
+        ]}
+      >
+        <Animated.View style={collapseStyle}>
+          <HeaderTitle
+            style={[
+              styles.largeTitle,
+              color ? { color } : null,
+              options.headerLargeTitleStyle,
+            ]}
+          >
+            {this._getHeaderTitleString(props.scene)}
+          </HeaderTitle>
+        </Animated.View>
+      </Animated.View>
+    );
+  }
 
   _renderLeftComponent = (props: SceneProps) => {
     const options = this.props.getScreenDetails(props.scene).options;
@@ -126,6 +418,7 @@ class Header extends React.PureComponent<void, HeaderProps, HeaderState> {
     const width = this.state.widths[props.scene.key]
       ? (this.props.layout.initWidth - this.state.widths[props.scene.key]) / 2
       : undefined;
+    const { forLeftLabel } = this._getStyleInterpolator();
     return (
       <HeaderBackButton
         onPress={() => {
@@ -136,6 +429,9 @@ class Header extends React.PureComponent<void, HeaderProps, HeaderState> {
         title={backButtonTitle}
         truncatedTitle={truncatedBackButtonTitle}
         titleStyle={options.headerBackTitleStyle}
+        titleContainerStyle={
+          forLeftLabel && forLeftLabel({ ...this.props, ...props })
+        }
         width={width}
       />
     );
@@ -143,8 +439,72 @@ class Header extends React.PureComponent<void, HeaderProps, HeaderState> {
 
   _renderRightComponent = (props: SceneProps) => {
     const details = this.props.getScreenDetails(props.scene);
-    const { headerRight } = details.options;
-    return headerRight || null;
+    const {
+      headerPressColorAndroid,
+      headerRight,
+      headerRightActions,
+      headerSearchBar,
+      headerTintColor,
+    } = details.options;
+    if (!headerRightActions && !headerSearchBar) {
+      return headerRight || null;
+    }
+    return (
+      <View
+        style={styles.rightActions}
+        onLayout={(e: LayoutEvent) =>
+          this._handleRightLayout('rightWidths', props.scene, e)}
+      >
+        {headerSearchBar &&
+          <TouchableItem
+            accessibilityComponentType="button"
+            accessibilityLabel="Search"
+            accessibilityTraits="button"
+            delayPressIn={0}
+            onPress={() => this._openSearch(props.scene)}
+            pressColor={headerPressColorAndroid}
+            borderless
+          >
+            <View style={styles.searchButton}>
+              <HeaderSearchBar.SearchIcon tintColor={headerTintColor} />
+            </View>
+          </TouchableItem>}
+        {headerRightActions &&
+          <HeaderActions
+            actions={headerRightActions}
+            maxWidth={this._getRightActionsMaxWidth(props.scene)}
+            pressColorAndroid={headerPressColorAndroid}
+            tintColor={headerTintColor}
+          />}
+        {headerRight &&
+          <View
+            style={styles.rightActions}
+            onLayout={(e: LayoutEvent) =>
+              this._handleRightLayout('headerRightWidths', props.scene, e)}
+          >
+            {headerRight}
+          </View>}
+      </View>
+    );
+  };
+
+  _renderSearchBarComponent = (props: SceneProps) => {
+    const { options } = this.props.getScreenDetails(props.scene);
+    if (!options.headerSearchBar) {
+      return null;
+    }
+    const { backgroundColor } = StyleSheet.flatten(options.headerStyle) || {};
+    return (
+      <HeaderSearchBar
+        config={options.headerSearchBar}
+        progress={this._searchProgress}
+        width={this.props.layout.initWidth}
+        onCancel={this._closeSearch}
+        pressColorAndroid={options.headerPressColorAndroid}
+        tintColor={options.headerTintColor}
+        style={{ backgroundColor: backgroundColor || HEADER_BACKGROUND_COLOR }}
+      />
+    );
   };
 
   _renderLeft(props: SceneProps): ?React.Element<*> {
@@ -152,7 +512,7 @@ class Header extends React.PureComponent<void, HeaderProps, HeaderState> {
       props,
       'left',
       this._renderLeftComponent,
-      HeaderStyleInterpolator.forLeft
+      this._getStyleInterpolator().forLeft || HeaderStyleInterpolator.forLeft
     );
   }
 
@@ -166,13 +526,18 @@ class Header extends React.PureComponent<void, HeaderProps, HeaderState> {
       if (!options.hasRightComponent) {
         style.right = 0;
       }
+      const rightActionsWidth = this._getRightActionsWidth(props.scene);
+      if (rightActionsWidth) {
+        style.right = rightActionsWidth;
+      }
     }
 
     return this._renderSubView(
       { ...props, style },
       'title',
       this._renderTitleComponent,
-      HeaderStyleInterpolator.forCenter
+      this._getStyleInterpolator().forCenter ||
+        HeaderStyleInterpolator.forCenter
     );
   }
 
@@ -181,7 +546,7 @@ class Header extends React.PureComponent<void, HeaderProps, HeaderState> {
       props,
       'right',
       this._renderRightComponent,
-      HeaderStyleInterpolator.forRight
+      this._getStyleInterpolator().forRight || HeaderStyleInterpolator.forRight
     );
   }
 
@@ -230,6 +595,76 @@ class Header extends React.PureComponent<void, HeaderProps, HeaderState> {
     );
   }
 
+  _renderSearchBar(props: SceneProps): ?React.Element<*> {
+    if (this.state.searchSceneKey !== props.scene.key) {
+      return null;
+    }
+    return this._renderSubView(
+      props,
+      'search',
+      this._renderSearchBarComponent,
+      this._getStyleInterpolator().forRight || HeaderStyleInterpolator.forRight
+    );
+  }
+
+  _renderBackground(
+    props: SceneProps,
+    styleInterpolator: ?NavigationStyleInterpolator
+  ): ?React.Element<*> {
+    const { scene } = props;
+    if (Math.abs(this.props.navigation.state.index - scene.index) > 2) {
+      return null;
+    }
+    const {
+      headerBackground,
+      headerLargeTitle,
+      headerStyle,
+      headerTransparent,
+    } = this.props.getScreenDetails(scene).options;
+    if (headerTransparent && !headerBackground) {
+      return null;
+    }
+    // A background component replaces the background color
+    const { backgroundColor } = headerBackground
+      ? {}
+      : StyleSheet.flatten(headerStyle) || {};
+    // The background shrinks with the large title and draws the shadow of
+    // the header, so that the shadow follows it
+    const shadowStyle = headerLargeTitle && !headerTransparent
+      ? [styles.shadow, getShadowStyle(headerStyle)]
+      : null;
+    const scrollY = headerLargeTitle ? this._getScrollY(scene) : null;
+    const collapseStyle = scrollY
+      ? {
+          transform: [
+            {
+              translateY: scrollY.interpolate({
+                inputRange: [0, LARGE_TITLE_HEIGHT],
+                outputRange: ([0, -LARGE_TITLE_HEIGHT]: Array<number>),
+                extrapolate: 'clamp',
+              }),
+            },
+          ],
+        }
+      : null;
+    return (
+      <Animated.View
+        pointerEvents="none"
+        key={`background_${scene.key}`}
+        style={[
+          StyleSheet.absoluteFill,
+          headerBackground ? null : styles.background,
+          backgroundColor ? { backgroundColor } : null,
+          shadowStyle,
+          styleInterpolator && styleInterpolator({ ...this.props, ...props }),
+          collapseStyle,
+        ]}
+      >
+        {headerBackground}
+      </Animated.View>
+    );
+  }
+
   _renderHeader(props: SceneProps): React.Element<*> {
     const left = this._renderLeft(props);
     const right = this._renderRight(props);
@@ -237,21 +672,51 @@ class Header extends React.PureComponent<void, HeaderProps, HeaderState> {
       hasLeftComponent: !!left,
       hasRightComponent: !!right,
     });
+    const searchBar = this._renderSearchBar(props);
+
+    const { options } = this.props.getScreenDetails(props.scene);
+    const focusedOptions = this.props.getScreenDetails(this.props.scene)
+      .options;
+    if (!options.headerLargeTitle && !focusedOptions.headerLargeTitle) {
+      return (
+        <View
+          pointerEvents="box-none"
+          style={[StyleSheet.absoluteFill, styles.header]}
+          key={`scene_${props.scene.key}`}
+        >
+          {title}
+          {left}
+          {right}
+          {searchBar}
+        </View>
+      );
+    }
 
+    // The bar keeps its height above the large title
     return (
       <View
-        style={[StyleSheet.absoluteFill, styles.header]}
+        pointerEvents="box-none"
+        style={StyleSheet.absoluteFill}
         key={`scene_${props.scene.key}`}
       >
-        {title}
-        {left}
-        {right}
+        <View
+          pointerEvents="box-none"
+          style={[styles.header, { height: getAppBarHeight(options) }]}
+        >
+          {title}
+          {left}
+          {right}
+          {searchBar}
+        </View>
+        {options.headerLargeTitle ? this._renderLargeTitle(props) : null}
       </View>
     );
   }
 
   render() {
     let appBar;
+    let backgrounds = null;
+    let animatedStyle = null;
 
     if (this.props.mode === 'float') {
       const scenesProps: Array<
@@ -262,6 +727,21 @@ class Header extends React.PureComponent<void, HeaderProps, HeaderState> {
         scene,
       }));
       appBar = scenesProps.map(this._renderHeader, this);
+
+      // The backgrounds and the height of the header only animate when a
+      // single header floats above the screens
+      const { forBackground, forHeight } = this._getStyleInterpolator();
+      if (forBackground) {
+        backgrounds = scenesProps.map((props: SceneProps) =>
+          this._renderBackground(props, forBackground)
+        );
+      }
+      if (forHeight) {
+        animatedStyle = forHeight({
+          ...this.props,
+          getHeaderHeight: this._getHeaderHeight,
+        });
+      }
     } else {
       appBar = this._renderHeader({
         position: new Animated.Value(this.props.scene.index),
@@ -282,11 +762,44 @@ class Header extends React.PureComponent<void, HeaderProps, HeaderState> {
     } = this.props;
 
     const { options } = this.props.getScreenDetails(scene, screenProps);
-    const headerStyle = options.headerStyle;
+    const {
+      headerBackground,
+      headerLargeTitle,
+      headerStyle,
+      headerTransparent,
+    } = options;
+    const statusBarHeight = Header.getStatusBarHeight(options);
+
+    if (!backgrounds && (headerBackground || headerLargeTitle)) {
+      backgrounds = this._renderBackground(
+        { position: this.props.position, progress: this.props.progress, scene },
+        null
+      );
+    }
 
     return (
-      <Animated.View {...rest} style={[styles.container, headerStyle, style]}>
-        <View style={styles.appBar}>
+      <Animated.View
+        // Screens drawn beneath the header get the touches it doesn't use
+        pointerEvents="box-none"
+        {...rest}
+        style={[
+          styles.container,
+          {
+            paddingTop: statusBarHeight,
+            height: statusBarHeight +
+              getAppBarHeight(options) +
+              getLargeTitleHeight(options),
+          },
+          headerStyle,
+          backgrounds ? styles.transparent : null,
+          headerTransparent ? styles.transparentContainer : null,
+          headerLargeTitle ? styles.shadowless : null,
+          style,
+          animatedStyle,
+        ]}
+      >
+        {backgrounds}
+        <View pointerEvents="box-none" style={styles.appBar}>
           {appBar}
         </View>
       </Animated.View>
@@ -294,18 +807,69 @@ class Header extends React.PureComponent<void, HeaderProps, HeaderState> {
   }
 }
 
+const HEADER_BACKGROUND_COLOR = Platform.OS === 'ios' ? '#EFEFF2' : '#FFF';
+
+const SHADOW_STYLE = {
+  shadowColor: 'black',
+  shadowOpacity: 0.1,
+  shadowRadius: StyleSheet.hairlineWidth,
+  shadowOffset: {
+    height: StyleSheet.hairlineWidth,
+  },
+  elevation: 4,
+};
+
 const styles = StyleSheet.create({
   container: {
-    paddingTop: STATUSBAR_HEIGHT,
-    backgroundColor: Platform.OS === 'ios' ? '#EFEFF2' : '#FFF',
-    height: STATUSBAR_HEIGHT + APPBAR_HEIGHT,
-    shadowColor: 'black',
-    shadowOpacity: 0.1,
-    shadowRadius: StyleSheet.hairlineWidth,
-    shadowOffset: {
-      height: StyleSheet.hairlineWidth,
-    },
-    elevation: 4,
+    backgroundColor: HEADER_BACKGROUND_COLOR,
+    ...SHADOW_STYLE,
+  },
+  shadow: SHADOW_STYLE,
+  shadowless: {
+    shadowOpacity: 0,
+    elevation: 0,
+  },
+  background: {
+    backgroundColor: HEADER_BACKGROUND_COLOR,
+  },
+  transparent: {
+    backgroundColor: 'transparent',
+  },
+  search: {
+    bottom: 0,
+    left: 0,
+    right: 0,
+    top: 0,
+    position: 'absolute',
+    alignItems: 'stretch',
+  },
+  rightActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  searchButton: {
+    width: Platform.OS === 'ios' ? 44 : 48,
+    height: Platform.OS === 'ios' ? 44 : 48,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  largeTitleContainer: {
+    height: LARGE_TITLE_HEIGHT,
+    justifyContent: 'flex-end',
+    paddingHorizontal: 16,
+    paddingBottom: 6,
+    overflow: 'hidden',
+  },
+  largeTitle: {
+    fontSize: 34,
+    fontWeight: 'bold',
+    textAlign: 'left',
+    marginHorizontal: 0,
+  },
+  transparentContainer: {
+    backgroundColor: 'transparent',
+    shadowOpacity: 0,
+    elevation: 0,
   },
   appBar: {
     flex: 1,
@@ -0,0 +1,298 @@
+/* @flow */
+
+import React from 'react';
+import {
+  ActionSheetIOS,
+  Image,
+  Platform,
+  StyleSheet,
+  Text,
+  UIManager,
+  View,
+  findNodeHandle,
+} from 'react-native';
+
+import TouchableItem from './TouchableItem';
+
+import type {
+  LayoutEvent,
+  NavigationHeaderAction,
+  Style,
+} from '../TypeDefinition';
+
+type Props = {
+  actions: Array<NavigationHeaderAction>,
+  // The room for the actions, the ones that don't fit go to the menu
+  maxWidth: number,
+  pressColorAndroid?: ?string,
+  tintColor?: ?string,
+};
+
+type ActionsState = {
+  // The measured widths of the buttons with a title instead of an icon, by
+  // title
+  widths: {
+    [title: string]: number,
+  },
+};
+
+type ActionsLayout = {
+  visibleActions: Array<NavigationHeaderAction>,
+  menuActions: Array<NavigationHeaderAction>,
+  width: number,
+};
+
+const ACTION_WIDTH = Platform.OS === 'ios' ? 44 : 48;
+const DEFAULT_TINT_COLOR = Platform.OS === 'ios'
+  ? '#037aff'
+  : 'rgba(0, 0, 0, .9)';
+
+/**
+ * Splits the actions between the buttons that fit in `maxWidth` and the
+ * overflow menu, which takes the room of a button too. Buttons are as wide
+ * as their measured `widths`, or as an icon button until they are measured.
+ */
+function getActionsLayout(
+  actions: Array<NavigationHeaderAction>,
+  maxWidth: number,
+  widths: { [title: string]: number } = {}
+): ActionsLayout {
+  const getWidth = (action: NavigationHeaderAction): number =>
+    (!action.icon && widths[action.title]) || ACTION_WIDTH;
+  const getTotalWidth = (someActions: Array<NavigationHeaderAction>): number =>
+    someActions.reduce(
+      (width: number, action: NavigationHeaderAction) =>
+        width + getWidth(action),
+      0
+    );
+
+  const alwaysShown = actions.filter(
+    (action: NavigationHeaderAction) => action.show === 'always'
+  );
+  const shownIfRoom = actions.filter(
+    (action: NavigationHeaderAction) => !action.show || action.show === 'ifRoom'
+  );
+  const neverShown = actions.filter(
+    (action: NavigationHeaderAction) => action.show === 'never'
+  );
+
+  const hasMenu =
+    neverShown.length > 0 ||
+    getTotalWidth(alwaysShown) + getTotalWidth(shownIfRoom) > maxWidth;
+  let room =
+    maxWidth - getTotalWidth(alwaysShown) - (hasMenu ? ACTION_WIDTH : 0);
+  let fitCount = 0;
+  while (
+    fitCount < shownIfRoom.length &&
+    getWidth(shownIfRoom[fitCount]) <= room
+  ) {
+    room -= getWidth(shownIfRoom[fitCount]);
+    fitCount += 1;
+  }
+  const shown = alwaysShown.concat(shownIfRoom.slice(0, fitCount));
+  const menuActions = shownIfRoom.slice(fitCount).concat(neverShown);
+  // Keep the order in which the actions were given
+  const visibleActions = actions.filter(
+    (action: NavigationHeaderAction) => shown.indexOf(action) !== -1
+  );
+  return {
+    visibleActions,
+    menuActions,
+    width: getTotalWidth(visibleActions) +
+      (menuActions.length ? ACTION_WIDTH : 0),
+  };
+}
+
+class HeaderActions extends React.PureComponent<void, Props, ActionsState> {
+  static ACTION_WIDTH = ACTION_WIDTH;
+
+  static getActionsLayout = getActionsLayout;
+
+  state = {
+    widths: {},
+  };
+
+  _menuButton: ?View;
+
+  _handleTitleButtonLayout(title: string, e: LayoutEvent) {
+    const { width } = e.nativeEvent.layout;
+    if (this.state.widths[title] !== width) {
+      this.setState({
+        widths: {
+          ...this.state.widths,
+          [title]: width,
+        },
+      });
+    }
+  }
+
+  _showMenu(menuActions: Array<NavigationHeaderAction>) {
+    const titles = menuActions.map(
+      (action: NavigationHeaderAction) => action.title
+    );
+    if (Platform.OS === 'ios') {
+      ActionSheetIOS.showActionSheetWithOptions(
+        {
+          options: [...titles, 'Cancel'],
+          cancelButtonIndex: titles.length,
+        },
+        (index: number) => {
+          if (index < titles.length) {
+            menuActions[index].onPress();
+          }
+        }
+      );
+      return;
+    }
+    const menuButton = findNodeHandle(this._menuButton);
+    if (menuButton == null) {
+      return;
+    }
+    UIManager.showPopupMenu(
+      menuButton,
+      titles,
+      () => {},
+      (eventName: string, index: number) => {
+        if (eventName === 'itemSelected') {
+          menuActions[index].onPress();
+        }
+      }
+    );
+  }
+
+  _renderButton(
+    key: string,
+    accessibilityLabel: string,
+    onPress: () => mixed,
+    content: React.Element<any>,
+    style?: Style,
+    onLayout?: (e: LayoutEvent) => void
+  ): React.Element<*> {
+    return (
+      <TouchableItem
+        key={key}
+        accessibilityComponentType="button"
+        accessibilityLabel={accessibilityLabel}
+        accessibilityTraits="button"
+        delayPressIn={0}
+        onPress={onPress}
+        pressColor={this.props.pressColorAndroid}
+        borderless
+      >
+        <View style={[styles.button, style]} onLayout={onLayout}>
+          {content}
+        </View>
+      </TouchableItem>
+    );
+  }
+
+  render() {
+    const { actions, maxWidth, tintColor } = this.props;
+    const { visibleActions, menuActions } = getActionsLayout(
+      actions,
+      maxWidth,
+      this.state.widths
+    );
+
+    return (
+      <View style={styles.container}>
+        {visibleActions.map(
+          (action: NavigationHeaderAction, index: number) =>
+            action.icon
+              ? this._renderButton(
+                  `action_${index}`,
+                  action.title,
+                  action.onPress,
+                  <Image
+                    style={[styles.icon, tintColor ? { tintColor } : null]}
+                    source={action.icon}
+                  />
+                )
+              : this._renderButton(
+                  `action_${index}`,
+                  action.title,
+                  action.onPress,
+                  <Text
+                    style={[
+                      styles.title,
+                      tintColor ? { color: tintColor } : null,
+                    ]}
+                    numberOfLines={1}
+                  >
+                    {action.title}
+                  </Text>,
+                  styles.titleButton,
+                  (e: LayoutEvent) =>
+                    this._handleTitleButtonLayout(action.title, e)
+                )
+        )}
+        {menuActions.length > 0 &&
+          <View
+            collapsable={false}
+            ref={(view: ?View) => {
+              this._menuButton = view;
+            }}
+          >
+            {this._renderButton(
+              'menu',
+              'More options',
+              () => this._showMenu(menuActions),
+              <View style={styles.menuIcon}>
+                {[0, 1, 2].map((dot: number) => (
+                  <View
+                    key={dot}
+                    style={[
+                      styles.menuDot,
+                      { backgroundColor: tintColor || DEFAULT_TINT_COLOR },
+                    ]}
+                  />
+                ))}
+              </View>
+            )}
+          </View>}
+      </View>
+    );
+  }
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  button: {
+    width: ACTION_WIDTH,
+    height: ACTION_WIDTH,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  icon: {
+    width: 24,
+    height: 24,
+    resizeMode: 'contain',
+  },
+  titleButton: {
+    width: undefined,
+    minWidth: ACTION_WIDTH,
+    paddingHorizontal: 8,
+  },
+  title: {
+    fontSize: Platform.OS === 'ios' ? 17 : 14,
+    color: DEFAULT_TINT_COLOR,
+  },
+  // Three dots, in a row on iOS and in a column on Android
+  menuIcon: {
+    flexDirection: Platform.OS === 'ios' ? 'row' : 'column',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    width: Platform.OS === 'ios' ? 20 : 4,
+    height: Platform.OS === 'ios' ? 4 : 18,
+  },
+  menuDot: {
+    width: 4,
+    height: 4,
+    borderRadius: 2,
+  },
+});
+
+export default HeaderActions;
@@ -2,6 +2,7 @@
 
 import React from 'react';
 import {
+  Animated,
   I18nManager,
   Image,
   Text,
@@ -19,6 +20,7 @@ type Props = {
   pressColorAndroid?: ?string,
   title?: ?string,
   titleStyle?: ?Style,
+  titleContainerStyle?: ?Style,
   tintColor?: ?string,
   truncatedTitle?: ?string,
   width?: ?number,
@@ -61,6 +63,7 @@ class HeaderBackButton extends React.PureComponent<DefaultProps, Props, State> {
       width,
       title,
       titleStyle,
+      titleContainerStyle,
       tintColor,
       truncatedTitle,
     } = this.props;
@@ -93,13 +96,17 @@ class HeaderBackButton extends React.PureComponent<DefaultProps, Props, State> {
           />
           {Platform.OS === 'ios' &&
             title &&
-            <Text
+            <Animated.View
               onLayout={this._onTextLayout}
-              style={[styles.title, { color: tintColor }, titleStyle]}
-              numberOfLines={1}
+              style={titleContainerStyle}
             >
-              {backButtonTitle}
-            </Text>}
+              <Text
+                style={[styles.title, { color: tintColor }, titleStyle]}
+                numberOfLines={1}
+              >
+                {backButtonTitle}
+              </Text>
+            </Animated.View>}
         </View>
       </TouchableItem>
     );
@@ -0,0 +1,230 @@
+/* @flow */
+
+import React from 'react';
+import {
+  Animated,
+  I18nManager,
+  Platform,
+  StyleSheet,
+  Text,
+  TextInput,
+  View,
+} from 'react-native';
+
+import HeaderBackButton from './HeaderBackButton';
+import TouchableItem from './TouchableItem';
+import { BackAndroid } from '../PlatformHelpers';
+
+import type { NavigationHeaderSearchBarConfig, Style } from '../TypeDefinition';
+
+type Props = {
+  config: NavigationHeaderSearchBarConfig,
+  // Goes from 0 to 1 as the search bar expands over the header
+  progress: Animated.Value,
+  width: number,
+  onCancel: () => void,
+  pressColorAndroid?: ?string,
+  tintColor?: ?string,
+  style?: Style,
+};
+
+const DEFAULT_TINT_COLOR = Platform.OS === 'ios'
+  ? '#037aff'
+  : 'rgba(0, 0, 0, .9)';
+
+/**
+ * The magnifying glass of the button that opens the search bar.
+ */
+const SearchIcon = ({ tintColor }: { tintColor?: ?string }) => {
+  const color = tintColor || DEFAULT_TINT_COLOR;
+  return (
+    <View style={styles.searchIcon}>
+      <View style={[styles.searchIconLens, { borderColor: color }]} />
+      <View style={[styles.searchIconHandle, { backgroundColor: color }]} />
+    </View>
+  );
+};
+
+/**
+ * Tells the screen that its search is cancelled, which empties the query.
+ */
+const notifyCancel = (config: NavigationHeaderSearchBarConfig) => {
+  if (config.onChangeText) {
+    config.onChangeText('');
+  }
+  if (config.onCancel) {
+    config.onCancel();
+  }
+};
+
+/**
+ * A search field that expands over the title of the header from the search
+ * button. Cancelling clears the field and collapses it.
+ */
+class HeaderSearchBar extends React.PureComponent<void, Props, void> {
+  static SearchIcon = SearchIcon;
+
+  static notifyCancel = notifyCancel;
+
+  _input: ?TextInput;
+
+  _backPressSubscription: ?{ remove: () => void };
+
+  componentDidMount() {
+    // The back button of Android cancels the search before leaving the
+    // screen
+    this._backPressSubscription = BackAndroid.addEventListener(
+      'backPress',
+      this._handleBackPress
+    );
+    if (this._input) {
+      this._input.focus();
+    }
+  }
+
+  componentWillUnmount() {
+    if (this._backPressSubscription) {
+      this._backPressSubscription.remove();
+    }
+  }
+
+  _handleBackPress = (): boolean => {
+    this._handleCancel();
+    return true;
+  };
+
+  _handleCancel = () => {
+    const { config, onCancel } = this.props;
+    const input = this._input;
+    if (input) {
+      input.clear();
+      input.blur();
+    }
+    notifyCancel(config);
+    onCancel();
+  };
+
+  _handleSubmit = (e: { nativeEvent: { text: string } }) => {
+    const { onSubmit } = this.props.config;
+    if (onSubmit) {
+      onSubmit(e.nativeEvent.text);
+    }
+  };
+
+  render() {
+    const {
+      config,
+      progress,
+      width,
+      pressColorAndroid,
+      tintColor,
+      style,
+    } = this.props;
+
+    const translateX = progress.interpolate({
+      inputRange: [0, 1],
+      outputRange: I18nManager.isRTL
+        ? ([-width / 2, 0]: Array<number>)
+        : ([width / 2, 0]: Array<number>),
+    });
+
+    return (
+      <Animated.View
+        style={[
+          styles.container,
+          style,
+          { opacity: progress, transform: [{ translateX }] },
+        ]}
+      >
+        {Platform.OS !== 'ios' &&
+          <HeaderBackButton
+            onPress={this._handleCancel}
+            pressColorAndroid={pressColorAndroid}
+            tintColor={tintColor}
+          />}
+        <TextInput
+          ref={(input: ?TextInput) => {
+            this._input = input;
+          }}
+          style={styles.input}
+          placeholder={config.placeholder}
+          onChangeText={config.onChangeText}
+          onSubmitEditing={this._handleSubmit}
+          returnKeyType="search"
+          autoCorrect={false}
+          underlineColorAndroid="transparent"
+        />
+        {Platform.OS === 'ios' &&
+          <TouchableItem
+            accessibilityComponentType="button"
+            accessibilityTraits="button"
+            delayPressIn={0}
+            onPress={this._handleCancel}
+          >
+            <View style={styles.cancelButton}>
+              <Text
+                style={[
+                  styles.cancelText,
+                  tintColor ? { color: tintColor } : null,
+                ]}
+              >
+                {config.cancelButtonText || 'Cancel'}
+              </Text>
+            </View>
+          </TouchableItem>}
+      </Animated.View>
+    );
+  }
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingLeft: Platform.OS === 'ios' ? 8 : 0,
+  },
+  input: Platform.OS === 'ios'
+    ? {
+        flex: 1,
+        height: 28,
+        paddingHorizontal: 8,
+        borderRadius: 10,
+        backgroundColor: 'rgba(142, 142, 147, .12)',
+        fontSize: 17,
+      }
+    : {
+        flex: 1,
+        height: 48,
+        fontSize: 18,
+      },
+  cancelButton: {
+    height: 44,
+    paddingHorizontal: 8,
+    justifyContent: 'center',
+  },
+  cancelText: {
+    fontSize: 17,
+    color: DEFAULT_TINT_COLOR,
+  },
+  searchIcon: {
+    width: 18,
+    height: 18,
+  },
+  searchIconLens: {
+    width: 13,
+    height: 13,
+    borderRadius: 6.5,
+    borderWidth: 2,
+  },
+  searchIconHandle: {
+    position: 'absolute',
+    right: 0,
+    bottom: 2,
+    width: 7,
+    height: 2,
+    transform: [{ rotate: '45deg' }],
+  },
+});
+
+export default HeaderSearchBar;
@@ -1,8 +1,19 @@
 /* @flow */
 
-import { I18nManager } from 'react-native';
+import { I18nManager, Platform } from 'react-native';
 
-import type { NavigationSceneRendererProps } from '../TypeDefinition';
+import type {
+  NavigationHeaderStyleInterpolator,
+  NavigationScene,
+  NavigationSceneRendererProps,
+} from '../TypeDefinition';
+
+type HeaderInterpolatorProps = NavigationSceneRendererProps & {
+  getHeaderHeight: (scene: NavigationScene) => number,
+};
+
+// Space taken by the back button icon on the left of its title
+const BACK_ICON_WIDTH = Platform.OS === 'ios' ? 70 : 40;
 
 /**
  * Utility that builds the style for the navigation header.
@@ -47,6 +58,74 @@ function forCenter(props: NavigationSceneRendererProps): Object {
   };
 }
 
+/**
+ * Fades the whole left component in and out over the complete transition,
+ * so that its title can be seen moving with `forLeftLabel`.
+ */
+function forLeftButton(props: NavigationSceneRendererProps): Object {
+  const { position, scene } = props;
+  const { index } = scene;
+  return {
+    opacity: position.interpolate({
+      inputRange: [index - 1, index - 0.2, index, index + 0.5, index + 1],
+      outputRange: ([0, 0.8, 1, 0.2, 0]: Array<number>),
+    }),
+  };
+}
+
+/**
+ * Moves the title of the back button from the place of the title of the
+ * previous screen, which becomes the back button title as the screen is
+ * pushed, and back there as the screen is popped.
+ */
+function forLeftLabel(props: NavigationSceneRendererProps): Object {
+  const { layout, position, scene } = props;
+  const { index } = scene;
+  const offset = layout.initWidth / 2 - BACK_ICON_WIDTH / 2;
+  return {
+    opacity: position.interpolate({
+      inputRange: [index - 1, index - 0.35, index, index + 0.5, index + 1],
+      outputRange: ([0, 0, 1, 0.5, 0]: Array<number>),
+    }),
+    transform: [
+      {
+        translateX: position.interpolate({
+          inputRange: [index - 1, index, index + 1],
+          outputRange: I18nManager.isRTL
+            ? ([-offset, 0, offset]: Array<number>)
+            : ([offset, 0, -offset]: Array<number>),
+        }),
+      },
+    ],
+  };
+}
+
+/**
+ * Like `forCenter`, but the title moves to the back button of the next
+ * screen instead of sliding off the header.
+ */
+function forCenterFromLeft(props: NavigationSceneRendererProps): Object {
+  const { layout, position, scene } = props;
+  const { index } = scene;
+  const offset = layout.initWidth / 2 - BACK_ICON_WIDTH / 2;
+  return {
+    opacity: position.interpolate({
+      inputRange: [index - 1, index - 0.5, index, index + 0.7, index + 1],
+      outputRange: ([0, 0, 1, 0, 0]: Array<number>),
+    }),
+    transform: [
+      {
+        translateX: position.interpolate({
+          inputRange: [index - 1, index, index + 1],
+          outputRange: I18nManager.isRTL
+            ? ([-layout.initWidth / 2, 0, offset]: Array<number>)
+            : ([layout.initWidth / 2, 0, -offset]: Array<number>),
+        }),
+      },
+    ],
+  };
+}
+
 function forRight(props: NavigationSceneRendererProps): Object {
   const { position, scene } = props;
   const { index } = scene;
@@ -58,8 +137,109 @@ function forRight(props: NavigationSceneRendererProps): Object {
   };
 }
 
+/**
+ * Moves the large title in and out with the card of its screen.
+ */
+function forLargeTitle(props: NavigationSceneRendererProps): Object {
+  const { layout, position, scene } = props;
+  const { index } = scene;
+  const width = layout.initWidth;
+  return {
+    opacity: position.interpolate({
+      inputRange: [index - 1, index - 0.99, index, index + 0.5, index + 1],
+      outputRange: ([0, 1, 1, 0, 0]: Array<number>),
+    }),
+    transform: [
+      {
+        translateX: position.interpolate({
+          inputRange: [index - 1, index, index + 1],
+          outputRange: I18nManager.isRTL
+            ? ([-width, 0, 10]: Array<number>)
+            : ([width, 0, -10]: Array<number>),
+        }),
+      },
+    ],
+  };
+}
+
+/**
+ * Fades the background of the header of a screen in over the background of
+ * the previous screen.
+ */
+function forBackground(props: NavigationSceneRendererProps): Object {
+  const { position, scene } = props;
+  const { index } = scene;
+  return {
+    opacity: position.interpolate({
+      inputRange: [index - 1, index, index + 1],
+      outputRange: ([0, 1, 1]: Array<number>),
+    }),
+  };
+}
+
+/**
+ * Resizes the header from the height of the header of a screen to the
+ * height of the next one, following the swipe back gesture. Animating the
+ * height can't be done by the native driver, so it is turned off for the
+ * transitions of a stack that uses this.
+ */
+function forHeight(props: HeaderInterpolatorProps): Object {
+  const { getHeaderHeight, position, scenes } = props;
+  const heights = {};
+  scenes.forEach((scene: NavigationScene) => {
+    // A screen being replaced has the same index as its replacement
+    if (!scene.isStale || heights[scene.index] === undefined) {
+      heights[scene.index] = getHeaderHeight(scene);
+    }
+  });
+  const inputRange = Object.keys(heights)
+    .map(Number)
+    .sort((a: number, b: number) => a - b);
+  if (inputRange.length < 2) {
+    return {};
+  }
+  return {
+    height: position.interpolate({
+      inputRange,
+      outputRange: inputRange.map((index: number) => heights[index]),
+      extrapolate: 'clamp',
+    }),
+  };
+}
+
+// The title of the previous screen turns into the back button title, the way
+// navigation bars of iOS do it
+const MorphBackTitleIOS = ({
+  forLeft: forLeftButton,
+  forLeftLabel,
+  forCenter: forCenterFromLeft,
+  forBackground,
+}: NavigationHeaderStyleInterpolator);
+
+function getHeaderStyleInterpolator(
+  stackInterpolator?: ?NavigationHeaderStyleInterpolator,
+  screenInterpolator?: ?NavigationHeaderStyleInterpolator
+): NavigationHeaderStyleInterpolator {
+  return {
+    forLeft,
+    forCenter,
+    forRight,
+    forLargeTitle,
+    ...stackInterpolator,
+    ...screenInterpolator,
+  };
+}
+
 export default {
   forLeft,
+  forLeftButton,
+  forLeftLabel,
   forCenter,
+  forCenterFromLeft,
   forRight,
+  forLargeTitle,
+  forBackground,
+  forHeight,
+  MorphBackTitleIOS,
+  getHeaderStyleInterpolator,
 };
@@ -2,6 +2,7 @@
 
 import React, { PureComponent } from 'react';
 import propTypes from 'prop-types';
+import { Animated } from 'react-native';
 
 import type {
   NavigationScreenProp,
@@ -14,18 +15,40 @@ type Props = {
   screenProps?: {},
   navigation: NavigationScreenProp<NavigationRoute, NavigationAction>,
   component: ReactClass<NavigationNavigatorProps<NavigationRoute>>,
+  /**
+   * The height of the header drawn above the screen, for screens that lay
+   * out content beneath a transparent header. Screens of navigators that
+   * don't pass it get the height given to their parent screen.
+   */
+  headerHeight?: number,
+  /**
+   * The scroll offset that collapses the large title of the header.
+   */
+  headerScrollY?: Animated.Value,
 };
 
 export default class SceneView extends PureComponent<void, Props, void> {
   static childContextTypes = {
     navigation: propTypes.object.isRequired,
+    headerHeight: propTypes.number,
+    headerScrollY: propTypes.object,
+  };
+
+  static contextTypes = {
+    headerHeight: propTypes.number,
+    headerScrollY: propTypes.object,
   };
 
   props: Props;
 
   getChildContext() {
+    const { headerHeight, headerScrollY } = this.props;
     return {
       navigation: this.props.navigation,
+      headerHeight: headerHeight === undefined
+        ? this.context.headerHeight
+        : headerHeight,
+      headerScrollY: headerScrollY || this.context.headerScrollY,
     };
   }
 
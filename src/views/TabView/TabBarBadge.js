@@ -0,0 +1,49 @@
+/* @flow */
+
+import React from 'react';
+import { StyleSheet, Text, View } from 'react-native';
+
+import type { Style } from '../../TypeDefinition';
+
+type Props = {
+  badge: ?(number | string | React.Element<*>),
+  style?: Style,
+};
+
+/**
+ * Renders numbers and strings in a pill, and any other element as it is.
+ */
+const TabBarBadge = ({ badge, style }: Props) => {
+  if (badge == null || badge === '') {
+    return null;
+  }
+  if (typeof badge !== 'number' && typeof badge !== 'string') {
+    return badge;
+  }
+  return (
+    <View style={[styles.badge, style]} pointerEvents="none">
+      <Text style={styles.text} numberOfLines={1}>
+        {badge}
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  badge: {
+    minWidth: 18,
+    height: 18,
+    borderRadius: 9,
+    paddingHorizontal: 4,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#ff3b30',
+  },
+  text: {
+    fontSize: 11,
+    color: '#fff',
+    backgroundColor: 'transparent',
+  },
+});
+
+export default TabBarBadge;
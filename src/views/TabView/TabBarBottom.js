@@ -31,11 +31,15 @@ type Props = {
   navigation: NavigationScreenProp<NavigationState, NavigationAction>,
   jumpToIndex: (index: number) => void,
   getLabel: (scene: TabScene) => ?(React.Element<*> | string),
+  getBadge: (scene: TabScene) => ?(number | string | React.Element<*>),
+  getAccessibilityLabel: (scene: TabScene) => ?string,
+  getTestID: (scene: TabScene) => ?string,
   renderIcon: (scene: TabScene) => React.Element<*>,
   showLabel: boolean,
   style?: Style,
   labelStyle?: Style,
   tabStyle?: Style,
+  badgeStyle?: Style,
   showIcon: boolean,
 };
 
@@ -102,6 +106,8 @@ export default class TabBarBottom
       activeTintColor,
       inactiveTintColor,
       renderIcon,
+      getBadge,
+      badgeStyle,
       showIcon,
     } = this.props;
     if (showIcon === false) {
@@ -114,6 +120,8 @@ export default class TabBarBottom
         activeTintColor={activeTintColor}
         inactiveTintColor={inactiveTintColor}
         renderIcon={renderIcon}
+        badge={getBadge(scene)}
+        badgeStyle={badgeStyle}
         scene={scene}
         style={styles.icon}
       />
@@ -125,6 +133,8 @@ export default class TabBarBottom
       position,
       navigation,
       jumpToIndex,
+      getAccessibilityLabel,
+      getTestID,
       activeBackgroundColor,
       inactiveBackgroundColor,
       style,
@@ -153,6 +163,9 @@ export default class TabBarBottom
             <TouchableWithoutFeedback
               key={route.key}
               onPress={() => jumpToIndex(index)}
+              accessibilityLabel={getAccessibilityLabel(scene)}
+              accessibilityTraits={focused ? ['button', 'selected'] : 'button'}
+              testID={getTestID(scene)}
             >
               <Animated.View
                 style={[
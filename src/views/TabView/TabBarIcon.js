@@ -2,6 +2,7 @@
 
 import React, { PureComponent } from 'react';
 import { Animated, View, StyleSheet } from 'react-native';
+import TabBarBadge from './TabBarBadge';
 
 import type {
   NavigationAction,
@@ -19,6 +20,8 @@ type Props = {
   position: Animated.Value,
   navigation: NavigationScreenProp<NavigationState, NavigationAction>,
   renderIcon: (scene: TabScene) => React.Element<*>,
+  badge?: ?(number | string | React.Element<*>),
+  badgeStyle?: Style,
   style?: Style,
 };
 
@@ -32,6 +35,8 @@ export default class TabBarIcon extends PureComponent<void, Props, void> {
       navigation,
       activeTintColor,
       inactiveTintColor,
+      badge,
+      badgeStyle,
       style,
     } = this.props;
     const { route, index } = scene;
@@ -66,6 +71,9 @@ export default class TabBarIcon extends PureComponent<void, Props, void> {
             tintColor: inactiveTintColor,
           })}
         </Animated.View>
+        <View style={styles.badge} pointerEvents="none">
+          <TabBarBadge badge={badge} style={badgeStyle} />
+        </View>
       </View>
     );
   }
@@ -84,4 +92,11 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     justifyContent: 'center',
   },
+  badge: {
+    // Next to the top right corner of an icon in the middle
+    position: 'absolute',
+    top: 0,
+    left: '50%',
+    marginLeft: 6,
+  },
 });
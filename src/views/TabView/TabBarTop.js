@@ -3,10 +3,12 @@
 import React, { PureComponent } from 'react';
 import { Animated, StyleSheet } from 'react-native';
 import { TabBar } from 'react-native-tab-view';
+import TabBarBadge from './TabBarBadge';
 import TabBarIcon from './TabBarIcon';
 
 import type {
   NavigationAction,
+  NavigationRoute,
   NavigationScreenProp,
   NavigationState,
   Style,
@@ -31,9 +33,13 @@ type Props = {
   position: Animated.Value,
   navigation: NavigationScreenProp<NavigationState, NavigationAction>,
   getLabel: (scene: TabScene) => ?(React.Element<*> | string),
+  getBadge: (scene: TabScene) => ?(number | string | React.Element<*>),
+  getAccessibilityLabel: (scene: TabScene) => ?string,
+  getTestID: (scene: TabScene) => ?string,
   renderIcon: (scene: TabScene) => React.Element<*>,
   labelStyle?: Style,
   iconStyle?: Style,
+  badgeStyle?: Style,
 };
 
 export default class TabBarTop
@@ -116,15 +122,41 @@ export default class TabBarTop
     );
   };
 
+  _renderBadge = (scene: TabScene) => (
+    <TabBarBadge
+      badge={this.props.getBadge(scene)}
+      style={[styles.badge, this.props.badgeStyle]}
+    />
+  );
+
   render() {
     // TODO: Define full proptypes
     const props: any = this.props;
+    const { navigationState, getAccessibilityLabel, getTestID } = props;
+
+    // The tab bar reads the accessibility label and test ID from the routes
+    const routes = navigationState.routes.map(
+      (route: NavigationRoute, index: number) => {
+        const scene = {
+          route,
+          index,
+          focused: index === navigationState.index,
+        };
+        return {
+          ...route,
+          accessibilityLabel: getAccessibilityLabel(scene),
+          testID: getTestID(scene),
+        };
+      }
+    );
 
     return (
       <TabBar
         {...props}
+        navigationState={{ ...navigationState, routes }}
         renderIcon={this._renderIcon}
         renderLabel={this._renderLabel}
+        renderBadge={this._renderBadge}
       />
     );
   }
@@ -135,6 +167,10 @@ const styles = StyleSheet.create({
     height: 24,
     width: 24,
   },
+  badge: {
+    marginTop: 4,
+    marginRight: 4,
+  },
   label: {
     textAlign: 'center',
     fontSize: 13,
@@ -3,6 +3,7 @@
 import React, { PureComponent } from 'react';
 import { View, StyleSheet } from 'react-native';
 import { TabViewAnimated, TabViewPagerPan } from 'react-native-tab-view';
+import NavigationActions from '../../NavigationActions';
 import SceneView from '../SceneView';
 import withCachedChildNavigation from '../../withCachedChildNavigation';
 
@@ -10,6 +11,7 @@ import type {
   NavigationScreenProp,
   NavigationRoute,
   NavigationAction,
+  NavigationEventName,
   NavigationState,
   NavigationRouter,
   NavigationTabScreenOptions,
@@ -22,6 +24,9 @@ export type TabViewConfig = {
   swipeEnabled?: boolean,
   animationEnabled?: boolean,
   lazy?: boolean,
+  unmountOnBlur?: boolean,
+  preload?: number,
+  lazyPlaceholderComponent?: ReactClass<*>,
 };
 
 export type TabScene = {
@@ -38,6 +43,9 @@ type Props = {
   swipeEnabled?: boolean,
   animationEnabled?: boolean,
   lazy?: boolean,
+  unmountOnBlur?: boolean,
+  preload?: number,
+  lazyPlaceholderComponent?: ReactClass<*>,
 
   screenProps?: {},
   navigation: NavigationScreenProp<NavigationState, NavigationAction>,
@@ -49,18 +57,221 @@ type Props = {
   childNavigationProps: {
     [key: string]: NavigationScreenProp<NavigationRoute, NavigationAction>,
   },
+  emitChildEvent: (
+    key: string,
+    eventName: NavigationEventName,
+    payload: *
+  ) => void,
 };
 
-class TabView extends PureComponent<void, Props, void> {
+type State = {
+  loadedRouteKeys: Array<string>,
+};
+
+type SceneOptions = {
+  lazy: boolean,
+  unmountOnBlur: boolean,
+  preload: number,
+  lazyPlaceholderComponent: ?ReactClass<*>,
+};
+
+/**
+ * The options that decide when the screen of `route` is mounted. The
+ * `navigationOptions` of the screen override the config of the navigator.
+ */
+const getSceneOptions = (
+  route: NavigationRoute,
+  props: Props
+): SceneOptions => {
+  const options = props.router.getScreenOptions(
+    props.childNavigationProps[route.key],
+    props.screenProps || {}
+  );
+  const pick = (name: string): * =>
+    options[name] === undefined ? props[name] : options[name];
+  return {
+    lazy: !!pick('lazy'),
+    unmountOnBlur: !!pick('unmountOnBlur'),
+    preload: pick('preload') || 0,
+    lazyPlaceholderComponent: pick('lazyPlaceholderComponent'),
+  };
+};
+
+/**
+ * The keys of the focused route and of the neighbours it preloads.
+ */
+const getRouteKeysToLoad = (props: Props): Array<string> => {
+  const { routes, index } = props.navigation.state;
+  const { preload } = getSceneOptions(routes[index], props);
+  return routes
+    .filter(
+      (route: NavigationRoute, i: number) =>
+        i === index ||
+        (Math.abs(i - index) <= preload &&
+          !getSceneOptions(route, props).unmountOnBlur)
+    )
+    .map((route: NavigationRoute) => route.key);
+};
+
+const addRouteKeys = (
+  routeKeys: Array<string>,
+  newRouteKeys: Array<string>
+): Array<string> => [
+  ...routeKeys,
+  ...newRouteKeys.filter((key: string) => routeKeys.indexOf(key) === -1),
+];
+
+class TabView extends PureComponent<void, Props, State> {
   props: Props;
 
+  state = {
+    loadedRouteKeys: getRouteKeysToLoad(this.props),
+  };
+
+  componentWillReceiveProps(nextProps: Props) {
+    const { state } = this.props.navigation;
+    const nextState = nextProps.navigation.state;
+    const route = state.routes[state.index];
+    const nextRoute = nextState.routes[nextState.index];
+    if (route.key === nextRoute.key) {
+      return;
+    }
+
+    let { loadedRouteKeys } = this.state;
+    if (getSceneOptions(route, this.props).unmountOnBlur) {
+      loadedRouteKeys = loadedRouteKeys.filter(
+        (key: string) => key !== route.key
+      );
+    }
+
+    cancelAnimationFrame(this._loadFrame);
+    const { lazyPlaceholderComponent } = getSceneOptions(nextRoute, nextProps);
+    if (
+      lazyPlaceholderComponent &&
+      loadedRouteKeys.indexOf(nextRoute.key) === -1
+    ) {
+      // Show the placeholder for a frame before mounting the screen
+      this.setState({ loadedRouteKeys });
+      this._loadFrame = requestAnimationFrame(() => {
+        this.setState({
+          loadedRouteKeys: addRouteKeys(
+            this.state.loadedRouteKeys,
+            getRouteKeysToLoad(this.props)
+          ),
+        });
+      });
+    } else {
+      this.setState({
+        loadedRouteKeys: addRouteKeys(
+          loadedRouteKeys,
+          getRouteKeysToLoad(nextProps)
+        ),
+      });
+    }
+  }
+
+  componentWillUnmount() {
+    cancelAnimationFrame(this._loadFrame);
+  }
+
+  _loadFrame: number;
+
+  /**
+   * Loads the lazy tab the pager is swiped towards, so that it is mounted by
+   * the time it comes into view. The focused tab is loaded as it gets focus.
+   */
+  _handleChangePosition = (position: number) => {
+    const { routes, index } = this.props.navigation.state;
+    const nextIndex = position > index
+      ? Math.ceil(position)
+      : Math.floor(position);
+    const route = routes[nextIndex];
+    if (
+      !route ||
+      nextIndex === index ||
+      this.state.loadedRouteKeys.indexOf(route.key) !== -1 ||
+      getSceneOptions(route, this.props).unmountOnBlur
+    ) {
+      return;
+    }
+    this.setState({
+      loadedRouteKeys: addRouteKeys(this.state.loadedRouteKeys, [route.key]),
+    });
+  };
+
   _handlePageChanged = (index: number) => {
     const { navigation } = this.props;
     navigation.navigate(navigation.state.routes[index].routeName);
   };
 
+  _handleTabPress = (index: number, jumpToIndex: (index: number) => void) => {
+    const { navigation, childNavigationProps, screenProps } = this.props;
+    const { state } = navigation;
+    const route = state.routes[index];
+    const scene = { route, index, focused: index === state.index };
+    const defaultHandler = () =>
+      this._handleTabPressDefault(scene, jumpToIndex);
+    const { tabBarOnPress } = this.props.router.getScreenOptions(
+      childNavigationProps[route.key],
+      screenProps || {}
+    );
+    if (tabBarOnPress) {
+      tabBarOnPress({ scene, defaultHandler });
+    } else {
+      defaultHandler();
+    }
+  };
+
+  /**
+   * Pressing the focused tab again pops its stack to the top. Tabs that are
+   * at their top already get a `tabPress` event, e.g. to scroll to the top.
+   */
+  _handleTabPressDefault(
+    scene: TabScene,
+    jumpToIndex: (index: number) => void
+  ) {
+    const { navigation } = this.props;
+    const { route } = scene;
+    if (!scene.focused) {
+      jumpToIndex(scene.index);
+      return;
+    }
+    // $FlowFixMe a route with child routes is the state of a navigator
+    const childIndex: number = route.routes ? route.index : 0;
+    if (childIndex > 0) {
+      navigation.dispatch(NavigationActions.popToTop({ key: route.key }));
+    } else {
+      this.props.emitChildEvent(route.key, 'tabPress', {
+        action: NavigationActions.navigate({ routeName: route.routeName }),
+        state: route,
+        lastState: route,
+      });
+    }
+  }
+
   _renderScene = ({ route }: any) => {
-    const { screenProps } = this.props;
+    const { screenProps, navigation } = this.props;
+    const {
+      lazy,
+      unmountOnBlur,
+      lazyPlaceholderComponent: LazyPlaceholder,
+    } = getSceneOptions(route, this.props);
+    const focused =
+      navigation.state.routes[navigation.state.index].key === route.key;
+    if (unmountOnBlur && !focused) {
+      return <View style={styles.page} />;
+    }
+    if (
+      (lazy || unmountOnBlur) &&
+      this.state.loadedRouteKeys.indexOf(route.key) === -1
+    ) {
+      return (
+        <View style={styles.page}>
+          {LazyPlaceholder && <LazyPlaceholder route={route} />}
+        </View>
+      );
+    }
+
     const childNavigation = this.props.childNavigationProps[route.key];
     const TabComponent = this.props.router.getComponentForRouteName(
       route.routeName
@@ -108,6 +319,24 @@ class TabView extends PureComponent<void, Props, void> {
     return null;
   };
 
+  _getBadge = ({ route }: TabScene) =>
+    this.props.router.getScreenOptions(
+      this.props.childNavigationProps[route.key],
+      this.props.screenProps || {}
+    ).tabBarBadge;
+
+  _getAccessibilityLabel = ({ route }: TabScene) =>
+    this.props.router.getScreenOptions(
+      this.props.childNavigationProps[route.key],
+      this.props.screenProps || {}
+    ).tabBarAccessibilityLabel;
+
+  _getTestID = ({ route }: TabScene) =>
+    this.props.router.getScreenOptions(
+      this.props.childNavigationProps[route.key],
+      this.props.screenProps || {}
+    ).tabBarTestID;
+
   _renderTabBar = (props: *) => {
     const {
       tabBarOptions,
@@ -121,8 +350,13 @@ class TabView extends PureComponent<void, Props, void> {
       <TabBarComponent
         {...props}
         {...tabBarOptions}
+        jumpToIndex={(index: number) =>
+          this._handleTabPress(index, props.jumpToIndex)}
         navigation={this.props.navigation}
         getLabel={this._getLabel}
+        getBadge={this._getBadge}
+        getAccessibilityLabel={this._getAccessibilityLabel}
+        getTestID={this._getTestID}
         renderIcon={this._renderIcon}
         animationEnabled={animationEnabled}
       />
@@ -138,7 +372,6 @@ class TabView extends PureComponent<void, Props, void> {
       tabBarPosition,
       animationEnabled,
       swipeEnabled,
-      lazy,
       screenProps,
     } = this.props;
 
@@ -168,8 +401,12 @@ class TabView extends PureComponent<void, Props, void> {
       renderPager = this._renderPager;
     }
 
+    // The pager renders no lazy tab until it is swiped towards, which would
+    // leave out the tabs that are preloaded
+    const { preload } = getSceneOptions(state.routes[state.index], this.props);
+
     const props = {
-      lazy,
+      lazy: this.props.lazy && !preload,
       animationEnabled,
       swipeEnabled,
       renderPager,
@@ -177,8 +414,11 @@ class TabView extends PureComponent<void, Props, void> {
       renderFooter,
       renderScene: this._renderScene,
       onRequestChangeTab: this._handlePageChanged,
+      onChangePosition: this._handleChangePosition,
       navigationState: this.props.navigation.state,
       screenProps: this.props.screenProps,
+      // Renders the scenes again when more of them are loaded
+      loadedRouteKeys: this.state.loadedRouteKeys,
       style: styles.container,
     };
 
@@ -80,7 +80,7 @@ class Transitioner extends React.Component<*, Props, State> {
     };
 
     this._prevTransitionProps = null;
-    this._transitionProps = buildTransitionProps(props, this.state);
+    this._transitionProps = buildTransitionProps(props, this.state, false);
     this._isMounted = false;
     this._isTransitionRunning = false;
     this._queuedTransition = null;
@@ -125,9 +125,14 @@ class Transitioner extends React.Component<*, Props, State> {
     nextScenes: Array<NavigationScene>,
     indexHasChanged: boolean
   ) {
+    const toValue = nextProps.navigation.state.index;
+    const prevScene = this.state.scenes.find(isSceneActive);
+    const collapsedScenes =
+      prevScene && collapseScenes(nextScenes, prevScene.key, toValue);
+
     const nextState = {
       ...this.state,
-      scenes: nextScenes,
+      scenes: collapsedScenes || nextScenes,
     };
 
     const { position, progress } = nextState;
@@ -135,7 +140,7 @@ class Transitioner extends React.Component<*, Props, State> {
     progress.setValue(0);
 
     this._prevTransitionProps = this._transitionProps;
-    this._transitionProps = buildTransitionProps(nextProps, nextState);
+    this._transitionProps = buildTransitionProps(nextProps, nextState, true);
 
     // get the transition spec.
     const transitionUserSpec = nextProps.configureTransition
@@ -153,11 +158,19 @@ class Transitioner extends React.Component<*, Props, State> {
     const { timing } = transitionSpec;
     delete transitionSpec.timing;
 
-    const toValue = nextProps.navigation.state.index;
+    if (collapsedScenes && prevScene) {
+      // Start from the card that was focused, which now sits next to the
+      // focused one.
+      const collapsedScene = collapsedScenes.find(
+        (scene: NavigationScene) => scene.key === prevScene.key
+      );
+      collapsedScene && position.setValue(collapsedScene.index);
+    }
     const positionHasChanged = position.__getValue() !== toValue;
 
     // if swiped back, indexHasChanged == true && positionHasChanged == false
-    const animations = indexHasChanged && positionHasChanged
+    const animations = (indexHasChanged || !!collapsedScenes) &&
+      positionHasChanged
       ? [
           timing(progress, {
             ...transitionSpec,
@@ -213,7 +226,11 @@ class Transitioner extends React.Component<*, Props, State> {
       layout,
     };
 
-    this._transitionProps = buildTransitionProps(this.props, nextState);
+    this._transitionProps = buildTransitionProps(
+      this.props,
+      nextState,
+      this._isTransitionRunning
+    );
     this.setState(nextState);
   }
 
@@ -229,7 +246,11 @@ class Transitioner extends React.Component<*, Props, State> {
       scenes: this.state.scenes.filter(isSceneNotStale),
     };
 
-    this._transitionProps = buildTransitionProps(this.props, nextState);
+    this._transitionProps = buildTransitionProps(
+      this.props,
+      nextState,
+      !!this._queuedTransition
+    );
 
     this.setState(nextState, () => {
       this.props.onTransitionEnd &&
@@ -250,7 +271,8 @@ class Transitioner extends React.Component<*, Props, State> {
 
 function buildTransitionProps(
   props: Props,
-  state: State
+  state: State,
+  isTransitioning: boolean
 ): NavigationTransitionProps {
   const { navigation } = props;
 
@@ -268,9 +290,47 @@ function buildTransitionProps(
     scenes,
     scene,
     index: scene.index,
+    isTransitioning,
   };
 }
 
+/**
+ * When the focused route was removed along with the routes below it, as
+ * with `popN` or `popToTop`, or replaced by a route at the same index, moves
+ * its scene right above or below the newly focused scene, so the transition
+ * looks like a single pop or push. The other removed scenes are dropped, as
+ * they would only flash by.
+ *
+ * Returns null when the transition can run on the scenes as they are.
+ */
+function collapseScenes(
+  scenes: Array<NavigationScene>,
+  prevKey: string,
+  toIndex: number
+): ?Array<NavigationScene> {
+  const prevScene = scenes.find(
+    (scene: NavigationScene) => scene.key === prevKey
+  );
+  if (!prevScene || !prevScene.isStale || prevScene.index < toIndex) {
+    return null;
+  }
+  const index = prevScene.index > toIndex ? toIndex + 1 : toIndex - 1;
+  if (index === prevScene.index) {
+    return null;
+  }
+  const collapsedScenes = scenes.filter(
+    (scene: NavigationScene) =>
+      scene !== prevScene && !(scene.isStale && scene.index > toIndex)
+  );
+  // Keep the scenes ordered, with the removed scene above the scene it
+  // shares its index with.
+  const insertIndex = collapsedScenes.filter(
+    (scene: NavigationScene) => scene.index <= index
+  ).length;
+  collapsedScenes.splice(insertIndex, 0, { ...prevScene, index });
+  return collapsedScenes;
+}
+
 function isSceneNotStale(scene: NavigationScene): boolean {
   return !scene.isStale;
 }
@@ -0,0 +1,26 @@
+/* @flow */
+/* eslint react/display-name:0 */
+
+import React from 'react';
+import { View } from 'react-native';
+import renderer from 'react-test-renderer';
+
+import NavigationActions from '../../NavigationActions';
+import StackNavigator from '../../navigators/StackNavigator';
+
+// InitializeCore would replace the timers with ones that never fire here
+jest.mock('InitializeCore', () => {});
+
+describe('CardStack', () => {
+  it('renders with a navigation prop that has no addListener', () => {
+    const Navigator: ReactClass<*> = StackNavigator({
+      Home: { screen: () => <View /> },
+    });
+    const state = Navigator.router.getStateForAction(NavigationActions.init());
+    const rendered = renderer.create(
+      <Navigator navigation={{ state, dispatch: () => false }} />
+    );
+    expect(rendered.toJSON()).not.toBe(null);
+    rendered.unmount();
+  });
+});
@@ -0,0 +1,39 @@
+/* @flow */
+
+import { Animated } from 'react-native';
+
+import CardStackStyleInterpolator from '../CardStackStyleInterpolator';
+
+// InitializeCore would replace the timers with ones that never fire here
+jest.mock('InitializeCore', () => {});
+
+const { forVertical } = CardStackStyleInterpolator;
+
+describe('forVertical', () => {
+  const getProps = (headerHeight?: number) => {
+    const position = new Animated.Value(1);
+    const props = {
+      layout: { isMeasured: true, initHeight: 600, initWidth: 400 },
+      position,
+      scene: { index: 1 },
+      ...(headerHeight === undefined ? {} : { headerHeight }),
+    };
+    // Only the props that the style depends on are given
+    /* $FlowFixMe */
+    return { position, style: forVertical(props) };
+  };
+
+  const getTranslateY = (style: *) => style.transform[1].translateY;
+
+  it('slides the card in from below the header', () => {
+    const { style } = getProps(64);
+    expect(getTranslateY(style)._config.outputRange).toEqual([536, 0, 0]);
+  });
+
+  it('slides the card in from the bottom without a header height', () => {
+    const { position, style } = getProps();
+    expect(getTranslateY(style)._config.outputRange).toEqual([600, 0, 0]);
+    position.setValue(0.5);
+    expect(getTranslateY(style).__getValue()).toBe(300);
+  });
+});
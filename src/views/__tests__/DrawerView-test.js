@@ -0,0 +1,168 @@
+/* @flow */
+/* eslint react/display-name:0 */
+
+import React from 'react';
+import { Dimensions, View } from 'react-native';
+import renderer from 'react-test-renderer';
+
+import NavigationActions from '../../NavigationActions';
+import DrawerNavigator from '../../navigators/DrawerNavigator';
+
+// InitializeCore would replace the timers with ones that never fire here
+jest.mock('InitializeCore', () => {});
+
+// Keeps whether the drawer was last opened or closed, instead of animating it
+jest.mock('react-native-drawer-layout-polyfill', () => {
+  const React = require('react');
+  const { View } = require('react-native');
+
+  class DrawerLayout extends React.Component {
+    static positions = { Left: 'left', Right: 'right' };
+    static instance = null;
+    isOpen = false;
+
+    componentDidMount() {
+      DrawerLayout.instance = this;
+    }
+
+    openDrawer() {
+      this.isOpen = true;
+    }
+
+    closeDrawer() {
+      this.isOpen = false;
+    }
+
+    render() {
+      return (
+        <View>
+          {this.props.renderNavigationView()}
+          {this.props.children}
+        </View>
+      );
+    }
+  }
+  return DrawerLayout;
+});
+
+const getDrawerLayout = () =>
+  require('react-native-drawer-layout-polyfill').instance;
+
+const setWindowWidth = (width: number) =>
+  Dimensions.set({ window: { ...Dimensions.get('window'), width } });
+
+const isPermanent = (tree: *) =>
+  tree.children.length === 2 && tree.children[0].props.style.width === 200;
+
+describe('DrawerView', () => {
+  const { width } = Dimensions.get('window');
+
+  afterEach(() => {
+    setWindowWidth(width);
+  });
+
+  it('switches to a permanent drawer when the window gets wide enough', () => {
+    setWindowWidth(375);
+    // The type of the config asks for the options that have defaults too
+    /* $FlowFixMe */
+    const Navigator: ReactClass<*> = DrawerNavigator(
+      { Home: { screen: () => <View /> } },
+      { drawerWidth: 200, drawerBreakpoint: 768 }
+    );
+    const rendered = renderer.create(<Navigator />);
+    expect(isPermanent(rendered.toJSON())).toBe(false);
+
+    setWindowWidth(1024);
+    expect(isPermanent(rendered.toJSON())).toBe(true);
+
+    setWindowWidth(767);
+    expect(isPermanent(rendered.toJSON())).toBe(false);
+    rendered.unmount();
+  });
+  describe('drawerLockMode', () => {
+    let sidebarProps;
+    // Keeps the props of the sidebar, to press its items
+    const Sidebar = (props: *) => {
+      sidebarProps = props;
+      return null;
+    };
+
+    const renderDrawer = (initialRouteName: string) => {
+      /* $FlowFixMe */
+      const Navigator: ReactClass<*> = DrawerNavigator(
+        {
+          Home: { screen: () => <View /> },
+          LockedOpen: {
+            screen: () => <View />,
+            navigationOptions: { drawerLockMode: 'locked-open' },
+          },
+          LockedClosed: {
+            screen: () => <View />,
+            navigationOptions: { drawerLockMode: 'locked-closed' },
+          },
+        },
+        { initialRouteName, contentComponent: Sidebar }
+      );
+      return renderer.create(<Navigator />);
+    };
+
+    const navigate = (rendered: *, routeName: string) =>
+      rendered
+        .getInstance()
+        .dispatch(NavigationActions.navigate({ routeName }));
+
+    const pressItem = (rendered: *, routeName: string) => {
+      const { routes } = rendered.getInstance().state.nav;
+      const route = routes.find((item: *) => item.routeName === routeName);
+      sidebarProps.onItemPress({ route, focused: false });
+    };
+
+    const isDrawerOpen = (rendered: *) =>
+      !!rendered.getInstance().state.nav.isDrawerOpen;
+
+    it('passes the lock mode of the focused screen to the drawer', () => {
+      const rendered = renderDrawer('Home');
+      // The drawer cannot be swiped without gestures
+      expect(getDrawerLayout().props.drawerLockMode).toBe('locked-closed');
+
+      navigate(rendered, 'LockedOpen');
+      expect(getDrawerLayout().props.drawerLockMode).toBe('locked-open');
+      navigate(rendered, 'LockedClosed');
+      expect(getDrawerLayout().props.drawerLockMode).toBe('locked-closed');
+      rendered.unmount();
+    });
+
+    it('opens the drawer of a screen that locks it open', () => {
+      const rendered = renderDrawer('LockedOpen');
+      expect(isDrawerOpen(rendered)).toBe(true);
+      expect(getDrawerLayout().isOpen).toBe(true);
+      rendered.unmount();
+    });
+
+    it('opens and closes the drawer when the lock mode changes', () => {
+      const rendered = renderDrawer('Home');
+      expect(isDrawerOpen(rendered)).toBe(false);
+
+      navigate(rendered, 'LockedOpen');
+      expect(isDrawerOpen(rendered)).toBe(true);
+      expect(getDrawerLayout().isOpen).toBe(true);
+
+      navigate(rendered, 'LockedClosed');
+      expect(isDrawerOpen(rendered)).toBe(false);
+      expect(getDrawerLayout().isOpen).toBe(false);
+      rendered.unmount();
+    });
+
+    it('keeps a drawer locked open when its items are pressed', () => {
+      const rendered = renderDrawer('LockedOpen');
+      pressItem(rendered, 'LockedOpen');
+      expect(isDrawerOpen(rendered)).toBe(true);
+      expect(getDrawerLayout().isOpen).toBe(true);
+
+      pressItem(rendered, 'Home');
+      expect(isDrawerOpen(rendered)).toBe(false);
+      expect(getDrawerLayout().isOpen).toBe(false);
+      rendered.unmount();
+    });
+  });
+});
@@ -0,0 +1,35 @@
+/* @flow */
+
+import Header from '../Header';
+
+// InitializeCore would replace the timers with ones that never fire here
+jest.mock('InitializeCore', () => {});
+
+// The window of the tests is a portrait iPhone, below a 20 point status bar
+describe('Header.getHeight', () => {
+  it('adds the status bar to the height of the bar', () => {
+    expect(Header.getHeight({})).toBe(64);
+    expect(Header.getHeight({ headerHeight: 50 })).toBe(70);
+  });
+
+  it('leaves the room asked for the status bar', () => {
+    expect(Header.getHeight({ headerStatusBarHeight: 44 })).toBe(88);
+    expect(
+      Header.getHeight({ headerStatusBarHeight: 0, headerHeight: 50 })
+    ).toBe(50);
+  });
+
+  it('adds the large title', () => {
+    expect(Header.getHeight({ headerLargeTitle: true })).toBe(116);
+  });
+
+  it('uses the height of the header style over the options', () => {
+    expect(
+      Header.getHeight({
+        headerStyle: { height: 100 },
+        headerHeight: 50,
+        headerLargeTitle: true,
+      })
+    ).toBe(100);
+  });
+});
@@ -0,0 +1,95 @@
+/* @flow */
+
+import HeaderActions from '../HeaderActions';
+
+import type { NavigationHeaderAction } from '../../TypeDefinition';
+
+// InitializeCore would replace the timers with ones that never fire here
+jest.mock('InitializeCore', () => {});
+
+const { ACTION_WIDTH, getActionsLayout } = HeaderActions;
+
+const createAction = (
+  title: string,
+  show?: 'always' | 'ifRoom' | 'never'
+): NavigationHeaderAction => ({
+  title,
+  icon: { uri: `${title}.png` },
+  onPress: () => {},
+  show,
+});
+
+const getTitles = (actions: Array<NavigationHeaderAction>) =>
+  actions.map((action: NavigationHeaderAction) => action.title);
+
+describe('HeaderActions.getActionsLayout', () => {
+  it('shows all the actions that fit', () => {
+    const layout = getActionsLayout(
+      [createAction('a'), createAction('b'), createAction('c')],
+      ACTION_WIDTH * 3
+    );
+    expect(getTitles(layout.visibleActions)).toEqual(['a', 'b', 'c']);
+    expect(layout.menuActions).toEqual([]);
+    expect(layout.width).toBe(ACTION_WIDTH * 3);
+  });
+
+  it('moves the actions that overflow to the menu, which takes a button', () => {
+    const layout = getActionsLayout(
+      [
+        createAction('a'),
+        createAction('b'),
+        createAction('c'),
+        createAction('d'),
+      ],
+      ACTION_WIDTH * 3
+    );
+    expect(getTitles(layout.visibleActions)).toEqual(['a', 'b']);
+    expect(getTitles(layout.menuActions)).toEqual(['c', 'd']);
+    expect(layout.width).toBe(ACTION_WIDTH * 3);
+  });
+
+  it('always puts the actions never shown in the menu', () => {
+    const layout = getActionsLayout(
+      [createAction('a'), createAction('b', 'never')],
+      ACTION_WIDTH * 3
+    );
+    expect(getTitles(layout.visibleActions)).toEqual(['a']);
+    expect(getTitles(layout.menuActions)).toEqual(['b']);
+    expect(layout.width).toBe(ACTION_WIDTH * 2);
+  });
+
+  it('shows the actions always shown first, in the order given', () => {
+    const layout = getActionsLayout(
+      [createAction('a'), createAction('b', 'always'), createAction('c')],
+      ACTION_WIDTH * 2
+    );
+    expect(getTitles(layout.visibleActions)).toEqual(['b']);
+    expect(getTitles(layout.menuActions)).toEqual(['a', 'c']);
+
+    const narrowLayout = getActionsLayout(
+      [createAction('a', 'always'), createAction('b', 'always')],
+      ACTION_WIDTH
+    );
+    expect(getTitles(narrowLayout.visibleActions)).toEqual(['a', 'b']);
+    expect(narrowLayout.width).toBe(ACTION_WIDTH * 2);
+  });
+
+  it('uses the measured widths of the actions with a title', () => {
+    const actions = [{ title: 'Edit', onPress: () => {} }, createAction('b')];
+    // Until it is measured, a title is as wide as an icon
+    expect(getActionsLayout(actions, ACTION_WIDTH * 2).width).toBe(
+      ACTION_WIDTH * 2
+    );
+
+    const layout = getActionsLayout(actions, ACTION_WIDTH * 3, { Edit: 80 });
+    expect(getTitles(layout.visibleActions)).toEqual(['Edit', 'b']);
+    expect(layout.width).toBe(80 + ACTION_WIDTH);
+
+    const overflowLayout = getActionsLayout(actions, ACTION_WIDTH * 3, {
+      Edit: 100,
+    });
+    expect(overflowLayout.visibleActions).toEqual([]);
+    expect(getTitles(overflowLayout.menuActions)).toEqual(['Edit', 'b']);
+    expect(overflowLayout.width).toBe(ACTION_WIDTH);
+  });
+});
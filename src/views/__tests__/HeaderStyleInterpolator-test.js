@@ -0,0 +1,107 @@
+/* @flow */
+
+import { Animated } from 'react-native';
+
+import HeaderStyleInterpolator from '../HeaderStyleInterpolator';
+
+import type { NavigationScene } from '../../TypeDefinition';
+
+// InitializeCore would replace the timers with ones that never fire here
+jest.mock('InitializeCore', () => {});
+
+const {
+  forBackground,
+  forCenter,
+  forHeight,
+  forLeft,
+  forLeftButton,
+  forRight,
+  getHeaderStyleInterpolator,
+} = HeaderStyleInterpolator;
+
+describe('getHeaderStyleInterpolator', () => {
+  it('defaults to fading the left, center and right components', () => {
+    const interpolator = getHeaderStyleInterpolator();
+    expect(interpolator.forLeft).toBe(forLeft);
+    expect(interpolator.forCenter).toBe(forCenter);
+    expect(interpolator.forRight).toBe(forRight);
+    expect(interpolator.forBackground).toBe(undefined);
+    expect(interpolator.forHeight).toBe(undefined);
+  });
+
+  it('prefers the interpolator of the screen over the one of the stack', () => {
+    const forScreenCenter = () => ({});
+    const interpolator = getHeaderStyleInterpolator(
+      { forLeft: forLeftButton, forCenter, forBackground },
+      { forCenter: forScreenCenter }
+    );
+    expect(interpolator.forLeft).toBe(forLeftButton);
+    expect(interpolator.forCenter).toBe(forScreenCenter);
+    expect(interpolator.forRight).toBe(forRight);
+    expect(interpolator.forBackground).toBe(forBackground);
+  });
+});
+
+describe('forHeight', () => {
+  const heights = { A: 64, B: 200, C: 100 };
+
+  const createScene = (
+    key: string,
+    index: number,
+    isStale: boolean = false
+  ) => ({
+    key,
+    index,
+    isStale,
+    isActive: !isStale,
+    route: { key, routeName: key },
+  });
+
+  const getProps = (scenes: Array<NavigationScene>) => {
+    const position = new Animated.Value(0);
+    const props = {
+      position,
+      scenes,
+      getHeaderHeight: (scene: NavigationScene) => heights[scene.key],
+    };
+    // Only the props that the height depends on are given
+    /* $FlowFixMe */
+    return { position, style: forHeight(props) };
+  };
+
+  it('does not resize the header of a single screen', () => {
+    expect(getProps([createScene('A', 0)]).style).toEqual({});
+  });
+
+  it('interpolates between the header heights of the screens', () => {
+    const { position, style } = getProps([
+      createScene('A', 0),
+      createScene('C', 1),
+    ]);
+    expect(style.height._config.inputRange).toEqual([0, 1]);
+    expect(style.height._config.outputRange).toEqual([64, 100]);
+    position.setValue(0.5);
+    expect(style.height.__getValue()).toBe(82);
+    position.setValue(2);
+    expect(style.height.__getValue()).toBe(100);
+  });
+
+  it('uses the height of the screen that replaces a stale one', () => {
+    [
+      [createScene('B', 1, true), createScene('C', 1)],
+      [createScene('C', 1), createScene('B', 1, true)],
+    ].forEach((replacedScenes: Array<NavigationScene>) => {
+      const { style } = getProps([createScene('A', 0), ...replacedScenes]);
+      expect(style.height._config.inputRange).toEqual([0, 1]);
+      expect(style.height._config.outputRange).toEqual([64, 100]);
+    });
+  });
+
+  it('keeps the height of a stale screen that is not replaced', () => {
+    const { style } = getProps([
+      createScene('A', 0),
+      createScene('B', 1, true),
+    ]);
+    expect(style.height._config.outputRange).toEqual([64, 200]);
+  });
+});
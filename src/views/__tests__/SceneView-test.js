@@ -0,0 +1,140 @@
+/* @flow */
+/* eslint react/display-name:0 */
+
+import React from 'react';
+import { Animated, Text } from 'react-native';
+import renderer from 'react-test-renderer';
+
+import addNavigationHelpers from '../../addNavigationHelpers';
+import SceneView from '../SceneView';
+import withHeaderHeight from '../withHeaderHeight';
+import withHeaderScrollY from '../withHeaderScrollY';
+
+// InitializeCore would replace the timers with ones that never fire here
+jest.mock('InitializeCore', () => {});
+
+const navigation = addNavigationHelpers({
+  state: { key: 'A', routeName: 'A' },
+  dispatch: () => false,
+});
+
+const HeaderHeight = withHeaderHeight(({ headerHeight }: *) => (
+  <Text>{headerHeight}</Text>
+));
+
+// Shows which scroll offset it is given
+const scrollYs = [new Animated.Value(0), new Animated.Value(0)];
+const HeaderScrollY = withHeaderScrollY(({ headerScrollY }: *) => (
+  <Text>{String(scrollYs.indexOf(headerScrollY))}</Text>
+));
+
+const renderText = (element: *) =>
+  renderer.create(element).toJSON().children[0];
+
+describe('SceneView', () => {
+  it('gives the header height to the components of the screen', () => {
+    expect(
+      renderText(
+        <SceneView
+          navigation={navigation}
+          component={HeaderHeight}
+          headerHeight={64}
+        />
+      )
+    ).toBe(64);
+  });
+
+  it('gives the header height of the parent screen to nested screens', () => {
+    const NestedScreen = () => (
+      <SceneView navigation={navigation} component={HeaderHeight} />
+    );
+    expect(
+      renderText(
+        <SceneView
+          navigation={navigation}
+          component={NestedScreen}
+          headerHeight={64}
+        />
+      )
+    ).toBe(64);
+  });
+
+  it('lets nested screens with a header of their own override it', () => {
+    const NestedScreen = () => (
+      <SceneView
+        navigation={navigation}
+        component={HeaderHeight}
+        headerHeight={0}
+      />
+    );
+    expect(
+      renderText(
+        <SceneView
+          navigation={navigation}
+          component={NestedScreen}
+          headerHeight={64}
+        />
+      )
+    ).toBe(0);
+  });
+
+  it('gives a header height of 0 outside of screens', () => {
+    expect(renderText(<HeaderHeight />)).toBe(0);
+  });
+
+  it('gives the scroll offset to the components of the screen', () => {
+    expect(
+      renderText(
+        <SceneView
+          navigation={navigation}
+          component={HeaderScrollY}
+          headerScrollY={scrollYs[0]}
+        />
+      )
+    ).toBe('0');
+  });
+
+  it('gives the scroll offset of the parent screen to nested screens', () => {
+    const NestedScreen = () => (
+      <SceneView navigation={navigation} component={HeaderScrollY} />
+    );
+    expect(
+      renderText(
+        <SceneView
+          navigation={navigation}
+          component={NestedScreen}
+          headerScrollY={scrollYs[0]}
+        />
+      )
+    ).toBe('0');
+  });
+
+  it('lets nested screens with a scroll offset of their own override it', () => {
+    const NestedScreen = () => (
+      <SceneView
+        navigation={navigation}
+        component={HeaderScrollY}
+        headerScrollY={scrollYs[1]}
+      />
+    );
+    expect(
+      renderText(
+        <SceneView
+          navigation={navigation}
+          component={NestedScreen}
+          headerScrollY={scrollYs[0]}
+        />
+      )
+    ).toBe('1');
+  });
+
+  it('gives no scroll offset outside of screens', () => {
+    const consoleError = console.error;
+    // $FlowFixMe
+    console.error = jest.fn();
+    expect(renderText(<HeaderScrollY />)).toBe('-1');
+    expect(console.error).not.toBeCalled();
+    // $FlowFixMe
+    console.error = consoleError;
+  });
+});
@@ -0,0 +1,37 @@
+/* @flow */
+
+import React from 'react';
+import { Text } from 'react-native';
+import renderer from 'react-test-renderer';
+
+import TabBarBadge from '../TabView/TabBarBadge';
+
+// InitializeCore would replace the timers with ones that never fire here
+jest.mock('InitializeCore', () => {});
+
+const render = (badge: *) =>
+  renderer.create(<TabBarBadge badge={badge} />).toJSON();
+
+describe('TabBarBadge', () => {
+  it('shows numbers and strings in a pill', () => {
+    const pill = render(3);
+    expect(pill.type).toBe('View');
+    expect(pill.children[0].type).toBe('Text');
+    expect(pill.children[0].children).toEqual([3]);
+    expect(render('new').children[0].children).toEqual(['new']);
+  });
+
+  it('renders elements as they are', () => {
+    const badge = render(<Text>dot</Text>);
+    expect(badge.type).toBe('Text');
+    expect(badge.children).toEqual(['dot']);
+  });
+
+  it('renders nothing for an empty badge', () => {
+    expect(render(null)).toBe(null);
+    expect(render(undefined)).toBe(null);
+    expect(render('')).toBe(null);
+    // Zero is a count like any other
+    expect(render(0)).not.toBe(null);
+  });
+});
@@ -0,0 +1,349 @@
+/* @flow */
+/* eslint react/display-name:0 */
+
+import React from 'react';
+import { Text } from 'react-native';
+import renderer from 'react-test-renderer';
+
+import NavigationActions from '../../NavigationActions';
+import StackNavigator from '../../navigators/StackNavigator';
+import TabNavigator from '../../navigators/TabNavigator';
+import TabBarBottom from '../TabView/TabBarBottom';
+import TabBarTop from '../TabView/TabBarTop';
+
+// InitializeCore would replace the timers with ones that never fire here
+jest.mock('InitializeCore', () => {});
+
+let mountedScreens = [];
+
+const createScreen = (name: string, navigationOptions: * = {}) => {
+  class Screen extends React.Component<void, *, void> {
+    static navigationOptions = navigationOptions;
+
+    componentDidMount() {
+      mountedScreens.push(name);
+    }
+
+    componentWillUnmount() {
+      mountedScreens = mountedScreens.filter(
+        (screen: string) => screen !== name
+      );
+    }
+
+    render() {
+      return <Text>{name}</Text>;
+    }
+  }
+  return Screen;
+};
+
+const findNode = (node: *, predicate: (node: *) => boolean): * => {
+  if (!node || typeof node !== 'object') {
+    return null;
+  }
+  if (predicate(node)) {
+    return node;
+  }
+  return (node.children || [])
+    .reduce((found: *, child: *) => found || findNode(child, predicate), null);
+};
+
+const findAllNodes = (node: *, predicate: (node: *) => boolean): Array<*> => {
+  if (!node || typeof node !== 'object') {
+    return [];
+  }
+  return (node.children || [])
+    .reduce(
+      (found: Array<*>, child: *) =>
+        found.concat(findAllNodes(child, predicate)),
+      predicate(node) ? [node] : []
+    );
+};
+
+const renderTabs = (routeConfigs: *, config: *) => {
+  const Navigator: ReactClass<*> = TabNavigator(routeConfigs, {
+    tabBarComponent: undefined,
+    swipeEnabled: true,
+    ...config,
+  });
+  const rendered = renderer.create(<Navigator />);
+  // The pager only renders the tabs next to the focused one once it has a size
+  rendered.toJSON().props.onLayout({
+    nativeEvent: { layout: { width: 320, height: 480 } },
+  });
+  return rendered;
+};
+
+// The scroll view of the pager is a mock that does not scroll by itself
+const scrollTo = (rendered: *, x: number) => {
+  const scrollView = findNode(
+    rendered.toJSON(),
+    (node: *) => typeof node.props.onScroll === 'function'
+  );
+  if (!scrollView) {
+    throw new Error('The pager has no scroll view');
+  }
+  scrollView.props.onScroll({ nativeEvent: { contentOffset: { x } } });
+};
+
+const navigate = (rendered: *, routeName: string) => {
+  const container = rendered.getInstance();
+  container.dispatch(NavigationActions.navigate({ routeName }));
+  const { index } = container.state.nav;
+  scrollTo(rendered, index * 320);
+};
+
+describe('TabView', () => {
+  const { requestAnimationFrame, cancelAnimationFrame } = global;
+
+  beforeEach(() => {
+    mountedScreens = [];
+    jest.useFakeTimers();
+    global.requestAnimationFrame = (callback: () => void) =>
+      setTimeout(callback, 16);
+    global.cancelAnimationFrame = jest.fn((id: number) => clearTimeout(id));
+  });
+
+  afterEach(() => {
+    global.requestAnimationFrame = requestAnimationFrame;
+    global.cancelAnimationFrame = cancelAnimationFrame;
+  });
+
+  const routeConfigs = {
+    A: { screen: createScreen('A') },
+    B: { screen: createScreen('B') },
+    C: { screen: createScreen('C') },
+  };
+
+  it('mounts all the tabs upfront unless they are lazy', () => {
+    const rendered = renderTabs(routeConfigs, { lazy: false });
+    expect(mountedScreens.sort()).toEqual(['A', 'B', 'C']);
+    rendered.unmount();
+  });
+
+  it('mounts lazy tabs when they are focused and keeps them mounted', () => {
+    const rendered = renderTabs(routeConfigs, { lazy: true });
+    expect(mountedScreens).toEqual(['A']);
+
+    navigate(rendered, 'C');
+    expect(mountedScreens).toEqual(['A', 'C']);
+    navigate(rendered, 'A');
+    expect(mountedScreens).toEqual(['A', 'C']);
+    rendered.unmount();
+  });
+
+  it('mounts lazy tabs when the pager is swiped towards them', () => {
+    const rendered = renderTabs(routeConfigs, { lazy: true });
+    scrollTo(rendered, 80);
+    expect(mountedScreens).toEqual(['A', 'B']);
+    rendered.unmount();
+  });
+
+  it('renders the placeholder of a lazy tab for a frame', () => {
+    const rendered = renderTabs(routeConfigs, {
+      lazy: true,
+      lazyPlaceholderComponent: ({ route }: *) => (
+        <Text>{`Loading ${route.routeName}`}</Text>
+      ),
+    });
+    const findText = (text: string) =>
+      findNode(
+        rendered.toJSON(),
+        (node: *) => !!node.children && node.children[0] === text
+      );
+    navigate(rendered, 'B');
+    expect(mountedScreens).toEqual(['A']);
+    expect(findText('Loading B')).not.toBe(null);
+    // The pager renders nothing for the tabs it has not reached yet
+    expect(findText('Loading C')).toBe(null);
+
+    jest.runAllTimers();
+    expect(mountedScreens).toEqual(['A', 'B']);
+    rendered.unmount();
+  });
+
+  it('cancels the frame of the placeholder on unmount', () => {
+    const consoleError = console.error;
+    // $FlowFixMe
+    console.error = jest.fn();
+    const rendered = renderTabs(routeConfigs, {
+      lazy: true,
+      lazyPlaceholderComponent: () => <Text>Loading</Text>,
+    });
+    navigate(rendered, 'B');
+    rendered.unmount();
+    expect(global.cancelAnimationFrame).toBeCalled();
+
+    jest.runAllTimers();
+    expect(mountedScreens).toEqual([]);
+    expect(console.error).not.toBeCalled();
+    // $FlowFixMe
+    console.error = consoleError;
+  });
+
+  it('unmounts tabs that unmount on blur and mounts them on focus', () => {
+    const rendered = renderTabs(
+      {
+        ...routeConfigs,
+        B: { screen: createScreen('B', { unmountOnBlur: true }) },
+      },
+      { lazy: false }
+    );
+    expect(mountedScreens.sort()).toEqual(['A', 'C']);
+
+    navigate(rendered, 'B');
+    expect(mountedScreens.sort()).toEqual(['A', 'B', 'C']);
+    navigate(rendered, 'C');
+    expect(mountedScreens.sort()).toEqual(['A', 'C']);
+    rendered.unmount();
+  });
+
+  it('preloads the neighbours of the focused tab', () => {
+    const rendered = renderTabs(
+      {
+        ...routeConfigs,
+        D: { screen: createScreen('D') },
+      },
+      { lazy: true, preload: 1 }
+    );
+    expect(mountedScreens).toEqual(['A', 'B']);
+
+    navigate(rendered, 'C');
+    expect(mountedScreens.sort()).toEqual(['A', 'B', 'C', 'D']);
+    rendered.unmount();
+  });
+  describe('pressing a tab', () => {
+    let tabBarProps;
+    // Keeps the props of the tab bar, to press its tabs
+    const TabBar = (props: *) => {
+      tabBarProps = props;
+      return null;
+    };
+
+    const getRouteNames = (state: *) =>
+      state.routes.map((route: *) => route.routeName);
+
+    it('lets tabBarOnPress replace the default handler', () => {
+      const tabBarOnPress = jest.fn();
+      const rendered = renderTabs(
+        {
+          ...routeConfigs,
+          B: { screen: createScreen('B', { tabBarOnPress }) },
+        },
+        { tabBarComponent: TabBar }
+      );
+      tabBarProps.jumpToIndex(1);
+      expect(tabBarOnPress).toHaveBeenCalledTimes(1);
+      const { scene, defaultHandler } = tabBarOnPress.mock.calls[0][0];
+      expect(scene.route.routeName).toBe('B');
+      expect(scene.focused).toBe(false);
+      expect(rendered.getInstance().state.nav.index).toBe(0);
+
+      defaultHandler();
+      expect(rendered.getInstance().state.nav.index).toBe(1);
+      rendered.unmount();
+    });
+
+    it('pops the stack of the focused tab to the top', () => {
+      const rendered = renderTabs(
+        {
+          ...routeConfigs,
+          A: {
+            screen: StackNavigator({
+              Home: { screen: createScreen('Home') },
+              Details: {
+                screen: StackNavigator({
+                  One: { screen: createScreen('One') },
+                  Two: { screen: createScreen('Two') },
+                }),
+              },
+            }),
+          },
+        },
+        { tabBarComponent: TabBar }
+      );
+      const container = rendered.getInstance();
+      container.dispatch(NavigationActions.navigate({ routeName: 'Details' }));
+      container.dispatch(NavigationActions.navigate({ routeName: 'Two' }));
+      const stack = container.state.nav.routes[0];
+      expect(getRouteNames(stack)).toEqual(['Home', 'Details']);
+      expect(getRouteNames(stack.routes[1])).toEqual(['One', 'Two']);
+
+      // The stack of the tab is popped, not the one nested in it
+      tabBarProps.jumpToIndex(0);
+      expect(container.state.nav.index).toBe(0);
+      expect(getRouteNames(container.state.nav.routes[0])).toEqual(['Home']);
+      rendered.unmount();
+    });
+  });
+
+  [TabBarBottom, TabBarTop].forEach((TabBarComponent: *) => {
+    describe(TabBarComponent.name, () => {
+      const renderTabBar = (routeConfigs: *) =>
+        renderTabs(routeConfigs, {
+          tabBarComponent: TabBarComponent,
+          tabBarPosition: 'bottom',
+        });
+
+      // The buttons of the tabs, in order
+      const getTabs = (rendered: *) =>
+        findAllNodes(
+          rendered.toJSON(),
+          (node: *) => node.props.accessibilityTraits !== undefined
+        );
+
+      // The label of the tab, followed or preceded by its badge
+      const getTexts = (tab: *) =>
+        findAllNodes(tab, (node: *) => node.type === 'Text').map(
+          (node: *) => node.children[0]
+        );
+
+      it('shows the badges of the tabs and hides the empty ones', () => {
+        const rendered = renderTabBar({
+          A: { screen: createScreen('A', { tabBarBadge: 3 }) },
+          B: {
+            screen: createScreen('B', ({ navigation }: *) => ({
+              tabBarBadge: navigation.state.params &&
+                navigation.state.params.unread,
+            })),
+          },
+        });
+        expect(getTexts(getTabs(rendered)[0])).toContain(3);
+        expect(getTexts(getTabs(rendered)[1])).toEqual(['B']);
+
+        const setUnread = (unread: *) =>
+          rendered
+            .getInstance()
+            .dispatch(
+              NavigationActions.setParams({ key: 'B', params: { unread } })
+            );
+        setUnread('new');
+        expect(getTexts(getTabs(rendered)[1])).toContain('new');
+        setUnread('');
+        expect(getTexts(getTabs(rendered)[1])).toEqual(['B']);
+        setUnread(null);
+        expect(getTexts(getTabs(rendered)[1])).toEqual(['B']);
+        rendered.unmount();
+      });
+
+      it('labels the tabs for accessibility and tests when asked to', () => {
+        const rendered = renderTabBar({
+          A: {
+            screen: createScreen('A', {
+              tabBarAccessibilityLabel: 'Inbox, 3 unread',
+              tabBarTestID: 'inbox-tab',
+            }),
+          },
+          B: { screen: createScreen('B') },
+        });
+        const [tabA, tabB] = getTabs(rendered);
+        expect(tabA.props.accessibilityLabel).toBe('Inbox, 3 unread');
+        expect(tabA.props.testID).toBe('inbox-tab');
+        // Screen readers read the label of the tab without one
+        expect(tabB.props.accessibilityLabel).toBe(undefined);
+        expect(tabB.props.testID).toBe(undefined);
+        rendered.unmount();
+      });
+    });
+  });
+});
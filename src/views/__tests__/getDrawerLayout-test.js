@@ -0,0 +1,104 @@
+/**
+ * @flow
+ * @jest-environment jsdom
+ */
+
+import {
+  DrawerRouter,
+  NavigationActions,
+  getDrawerLayout,
+} from '../../react-navigation.web';
+
+const config = { drawerWidth: 200, drawerType: 'slide', drawerBreakpoint: 768 };
+
+// The layout of a closed drawer in front of the content
+const closedLayout = {
+  drawerType: 'front',
+  isDrawerVisible: false,
+  isDrawerBehindContent: false,
+  drawerTranslateX: -200,
+  contentTranslateX: 0,
+  contentInset: 0,
+};
+
+describe('getDrawerLayout', () => {
+  it('places a permanent drawer next to the content', () => {
+    expect(getDrawerLayout(config, 1024, false)).toEqual({
+      ...closedLayout,
+      drawerType: 'permanent',
+      isDrawerVisible: true,
+      drawerTranslateX: 0,
+      contentInset: 200,
+    });
+  });
+
+  it('slides the drawer and the content together below the breakpoint', () => {
+    expect(getDrawerLayout(config, 320, false)).toEqual({
+      ...closedLayout,
+      drawerType: 'slide',
+    });
+    expect(getDrawerLayout(config, 320, true)).toEqual({
+      ...closedLayout,
+      drawerType: 'slide',
+      isDrawerVisible: true,
+      drawerTranslateX: 0,
+      contentTranslateX: 200,
+    });
+  });
+
+  it('slides the other way for a drawer on the right', () => {
+    const rightConfig = { ...config, drawerPosition: 'right' };
+    expect(getDrawerLayout(rightConfig, 320, false)).toEqual({
+      ...closedLayout,
+      drawerType: 'slide',
+      drawerTranslateX: 200,
+    });
+    expect(getDrawerLayout(rightConfig, 320, true)).toEqual({
+      ...closedLayout,
+      drawerType: 'slide',
+      isDrawerVisible: true,
+      drawerTranslateX: 0,
+      contentTranslateX: -200,
+    });
+  });
+
+  it('covers the content with a drawer in front', () => {
+    expect(getDrawerLayout({ drawerWidth: 200 }, 320, false)).toEqual(
+      closedLayout
+    );
+    expect(getDrawerLayout({ drawerWidth: 200 }, 320, true)).toEqual({
+      ...closedLayout,
+      isDrawerVisible: true,
+      drawerTranslateX: 0,
+    });
+  });
+
+  it('reveals a drawer in the back by moving the content', () => {
+    const backConfig = { drawerWidth: 200, drawerType: 'back' };
+    expect(getDrawerLayout(backConfig, 320, false)).toEqual({
+      ...closedLayout,
+      drawerType: 'back',
+      isDrawerBehindContent: true,
+      drawerTranslateX: 0,
+    });
+    expect(getDrawerLayout(backConfig, 320, true)).toEqual({
+      ...closedLayout,
+      drawerType: 'back',
+      isDrawerVisible: true,
+      isDrawerBehindContent: true,
+      drawerTranslateX: 0,
+      contentTranslateX: 200,
+    });
+  });
+
+  it('lays out the state of the drawer router of the web entry', () => {
+    const router = DrawerRouter({ Home: { screen: () => null } });
+    const state = router.getStateForAction(
+      NavigationActions.openDrawer(),
+      router.getStateForAction(NavigationActions.init())
+    );
+    expect(
+      getDrawerLayout(config, 320, state.isDrawerOpen).contentTranslateX
+    ).toBe(200);
+  });
+});
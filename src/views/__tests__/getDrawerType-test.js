@@ -0,0 +1,30 @@
+/* @flow */
+
+import getDrawerType from '../Drawer/getDrawerType';
+
+describe('getDrawerType', () => {
+  it('defaults to a drawer in front of the content', () => {
+    expect(getDrawerType({}, 320)).toBe('front');
+    expect(getDrawerType({}, 2048)).toBe('front');
+  });
+
+  it('uses the drawer type below the breakpoint', () => {
+    expect(
+      getDrawerType({ drawerType: 'slide', drawerBreakpoint: 768 }, 767)
+    ).toBe('slide');
+    expect(getDrawerType({ drawerBreakpoint: 768 }, 320)).toBe('front');
+  });
+
+  it('makes the drawer permanent from the breakpoint on', () => {
+    expect(
+      getDrawerType({ drawerType: 'back', drawerBreakpoint: 768 }, 768)
+    ).toBe('permanent');
+    expect(getDrawerType({ drawerBreakpoint: 768 }, 1024)).toBe('permanent');
+  });
+
+  it('keeps a permanent drawer in narrow windows', () => {
+    expect(
+      getDrawerType({ drawerType: 'permanent', drawerBreakpoint: 768 }, 320)
+    ).toBe('permanent');
+  });
+});
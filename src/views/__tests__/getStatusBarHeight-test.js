@@ -0,0 +1,87 @@
+/* @flow */
+
+// InitializeCore would replace the timers with ones that never fire here
+jest.mock('InitializeCore', () => {});
+
+// The height is kept by the module, so each test loads it afresh along with
+// the native modules it asks
+let ReactNative;
+let getStatusBarHeight;
+let addStatusBarHeightListener;
+
+const load = () => {
+  ({
+    default: getStatusBarHeight,
+    addStatusBarHeightListener,
+  } = require('../getStatusBarHeight'));
+};
+
+const setWindow = (width: number, height: number) =>
+  ReactNative.Dimensions.set({
+    window: { ...ReactNative.Dimensions.get('window'), width, height },
+  });
+
+const setStatusBarFrameHeight = (height: number) =>
+  ReactNative.DeviceEventEmitter.emit('statusBarFrameDidChange', {
+    frame: { height },
+  });
+
+describe('getStatusBarHeight', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    ReactNative = require('react-native');
+  });
+
+  it('leaves no room on Android', () => {
+    ReactNative.Platform.OS = 'android';
+    load();
+    expect(getStatusBarHeight()).toBe(0);
+  });
+
+  it('guesses from the window until the status bar is measured', () => {
+    setWindow(375, 667);
+    load();
+    const listener = jest.fn();
+    addStatusBarHeightListener(listener);
+    expect(getStatusBarHeight()).toBe(20);
+
+    setWindow(667, 375);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(getStatusBarHeight()).toBe(0);
+  });
+
+  it('follows the measured frame of the status bar', () => {
+    const { StatusBarManager } = ReactNative.NativeModules;
+    StatusBarManager.getHeight = jest.fn((callback: *) =>
+      callback({ height: 44 })
+    );
+    StatusBarManager.addListener = jest.fn();
+    StatusBarManager.removeListeners = jest.fn();
+    load();
+    const listener = jest.fn();
+    addStatusBarHeightListener(listener);
+    expect(getStatusBarHeight()).toBe(44);
+
+    setStatusBarFrameHeight(0);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(getStatusBarHeight()).toBe(0);
+
+    // The app is laid out below the extra height of the in-call status bar
+    setStatusBarFrameHeight(40);
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(getStatusBarHeight()).toBe(20);
+
+    // The window no longer matters once the status bar is measured
+    setWindow(812, 375);
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(getStatusBarHeight()).toBe(20);
+  });
+
+  it('stops calling removed listeners', () => {
+    load();
+    const listener = jest.fn();
+    addStatusBarHeightListener(listener).remove();
+    setWindow(1334, 750);
+    expect(listener).not.toBeCalled();
+  });
+});
@@ -0,0 +1,89 @@
+/* @flow */
+
+import {
+  Dimensions,
+  NativeModules,
+  Platform,
+  StatusBarIOS,
+} from 'react-native';
+
+type StatusBarHeightSubscription = {
+  remove: () => void,
+};
+
+const { StatusBarManager } = NativeModules;
+
+// The status bar of iOS is twice as tall during calls, but the app is laid
+// out below the extra height
+const IN_CALL_STATUSBAR_HEIGHT = 40;
+
+const listeners: Set<() => void> = new Set();
+
+let measuredHeight: ?number = null;
+let isMeasuring = false;
+
+function setMeasuredHeight(height: number) {
+  measuredHeight = height === IN_CALL_STATUSBAR_HEIGHT ? 20 : height;
+  listeners.forEach((listener: () => void) => listener());
+}
+
+/**
+ * Asks iOS for the frame of the status bar, and follows it as it changes
+ * with the orientation and calls. The guess from the window is used until
+ * the first answer.
+ */
+function startMeasuring() {
+  if (isMeasuring || Platform.OS !== 'ios') {
+    return;
+  }
+  isMeasuring = true;
+  Dimensions.addEventListener('change', () => {
+    if (measuredHeight == null) {
+      listeners.forEach((listener: () => void) => listener());
+    }
+  });
+  if (!StatusBarManager || !StatusBarManager.getHeight) {
+    return;
+  }
+  StatusBarManager.getHeight(({ height }: { height: number }) =>
+    setMeasuredHeight(height)
+  );
+  StatusBarIOS.addListener(
+    'statusBarFrameDidChange',
+    ({ frame }: { frame: { height: number } }) =>
+      setMeasuredHeight(frame.height)
+  );
+}
+
+/**
+ * The height of the status bar drawn over the top of the app, which the
+ * header leaves room for. Apps on Android are laid out below it, while on
+ * iOS it is measured, as it is taller on iPhones with a notch and hidden on
+ * iPhones in landscape.
+ */
+export default function getStatusBarHeight(): number {
+  if (Platform.OS !== 'ios') {
+    return 0;
+  }
+  startMeasuring();
+  if (measuredHeight != null) {
+    return measuredHeight;
+  }
+  const { width, height } = Dimensions.get('window');
+  return width > height && !Platform.isPad ? 0 : 20;
+}
+
+/**
+ * Calls `listener` whenever the height of the status bar changes.
+ */
+export function addStatusBarHeightListener(
+  listener: () => void
+): StatusBarHeightSubscription {
+  startMeasuring();
+  listeners.add(listener);
+  return {
+    remove: () => {
+      listeners.delete(listener);
+    },
+  };
+}
@@ -0,0 +1,34 @@
+/* @flow */
+
+import React from 'react';
+import propTypes from 'prop-types';
+import hoistStatics from 'hoist-non-react-statics';
+
+type Context = {
+  headerHeight?: number,
+};
+
+type InjectedProps = {
+  headerHeight: number,
+};
+
+/**
+ * Passes the height of the header of the closest stack screen, or 0 outside
+ * of stacks, so that content drawn beneath a transparent header can be
+ * inset by it.
+ */
+export default function withHeaderHeight<T: *>(
+  Component: ReactClass<T & InjectedProps>
+) {
+  const componentWithHeaderHeight = (props: T, { headerHeight }: Context) => (
+    <Component {...props} headerHeight={headerHeight || 0} />
+  );
+
+  componentWithHeaderHeight.displayName = `withHeaderHeight(${Component.displayName || Component.name})`;
+
+  componentWithHeaderHeight.contextTypes = {
+    headerHeight: propTypes.number,
+  };
+
+  return hoistStatics(componentWithHeaderHeight, Component);
+}
@@ -0,0 +1,35 @@
+/* @flow */
+
+import React from 'react';
+import propTypes from 'prop-types';
+import hoistStatics from 'hoist-non-react-statics';
+import { Animated } from 'react-native';
+
+type Context = {
+  headerScrollY?: Animated.Value,
+};
+
+type InjectedProps = {
+  headerScrollY: ?Animated.Value,
+};
+
+/**
+ * Passes the `Animated.Value` that the closest stack screen sets to its
+ * scroll offset, which collapses the large title of its header. There is
+ * none outside of stacks.
+ */
+export default function withHeaderScrollY<T: *>(
+  Component: ReactClass<T & InjectedProps>
+) {
+  const componentWithHeaderScrollY = (props: T, { headerScrollY }: Context) => (
+    <Component {...props} headerScrollY={headerScrollY} />
+  );
+
+  componentWithHeaderScrollY.displayName = `withHeaderScrollY(${Component.displayName || Component.name})`;
+
+  componentWithHeaderScrollY.contextTypes = {
+    headerScrollY: propTypes.object,
+  };
+
+  return hoistStatics(componentWithHeaderScrollY, Component);
+}
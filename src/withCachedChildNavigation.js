@@ -3,13 +3,24 @@
 import React, { PureComponent } from 'react';
 
 import addNavigationHelpers from './addNavigationHelpers';
+import getChildEventSubscriber from './getChildEventSubscriber';
 
-import type { NavigationScreenProp, NavigationAction } from './TypeDefinition';
+import type { NavigationEventSubscriber } from './getChildEventSubscriber';
+import type {
+  NavigationAction,
+  NavigationEventName,
+  NavigationScreenProp,
+} from './TypeDefinition';
 
 type InjectedProps<N> = {
   childNavigationProps: {
     [key: string]: N,
   },
+  emitChildEvent: (
+    key: string,
+    eventName: NavigationEventName,
+    payload: *
+  ) => void,
 };
 
 /**
@@ -31,10 +42,21 @@ export default function withCachedChildNavigation<T: *, N: *>(
       this._updateNavigationProps(nextProps.navigation);
     }
 
+    componentWillUnmount() {
+      Object.keys(this._childEventSubscribers).forEach((key: string) =>
+        this._childEventSubscribers[key].remove()
+      );
+      this._childEventSubscribers = {};
+    }
+
     _childNavigationProps: {
       [key: string]: NavigationScreenProp<N, NavigationAction>,
     };
 
+    _childEventSubscribers: {
+      [key: string]: NavigationEventSubscriber,
+    } = {};
+
     _updateNavigationProps = (
       navigation: NavigationScreenProp<N, NavigationAction>
     ) => {
@@ -42,23 +64,54 @@ export default function withCachedChildNavigation<T: *, N: *>(
       if (!this._childNavigationProps) {
         this._childNavigationProps = {};
       }
-      navigation.state.routes.forEach((route: *) => {
+      const { routes } = navigation.state;
+      Object.keys(this._childEventSubscribers).forEach((key: string) => {
+        if (!routes.some((route: *) => route.key === key)) {
+          this._childEventSubscribers[key].remove();
+          delete this._childEventSubscribers[key];
+          delete this._childNavigationProps[key];
+        }
+      });
+      routes.forEach((route: *) => {
         const childNavigation = this._childNavigationProps[route.key];
         if (childNavigation && childNavigation.state === route) {
           return;
         }
+        if (!this._childEventSubscribers[route.key]) {
+          this._childEventSubscribers[route.key] = getChildEventSubscriber(
+            navigation.addListener,
+            route.key
+          );
+        }
         this._childNavigationProps[route.key] = addNavigationHelpers({
           ...navigation,
           state: route,
+          addListener: this._childEventSubscribers[route.key].addListener,
         });
       });
     };
 
+    /**
+     * Emits an event raised by the view, like `tabPress`, to the child route
+     * with the given key.
+     */
+    _emitChildEvent = (
+      key: string,
+      eventName: NavigationEventName,
+      payload: *
+    ) => {
+      const subscriber = this._childEventSubscribers[key];
+      if (subscriber) {
+        subscriber.emit(eventName, payload);
+      }
+    };
+
     render() {
       return (
         <Comp
           {...this.props}
           childNavigationProps={this._childNavigationProps}
+          emitChildEvent={this._emitChildEvent}
         />
       );
     }
@@ -250,6 +250,14 @@ const RoutersDocs = createNavigator(
       }),
       path: 'tab',
     },
+    DrawerRouter: {
+      screen: createDocPage({
+        doc: 'api/routers/DrawerRouter',
+        title: 'DrawerRouter',
+        linkName: 'DrawerRouter',
+      }),
+      path: 'drawer',
+    },
   })
 )(NavView);
 